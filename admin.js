@@ -2,7 +2,12 @@ import { db } from "./firebase.js";
 
 export async function deleteCollection(collectionName, batchSize = 300) {
     const firestore = db();
-    const colRef = firestore.collection(collectionName);
+    await deleteCollectionRef(firestore.collection(collectionName), batchSize);
+}
+
+// Same as deleteCollection, for subcollections such as categories/{id}/runs/{runId}/items.
+export async function deleteCollectionRef(colRef, batchSize = 300) {
+    const firestore = db();
 
     while (true) {
         const snap = await colRef.limit(batchSize).get();
@@ -0,0 +1,150 @@
+import { db } from "./firebase.js";
+import { providerSlugOf, resolveProviderSlug } from "./providers.js";
+
+// Seasonal campaigns in `campaigns/{id}`. The active one replaces the category marked
+// `campaignSlot` in CATEGORY_DEFS ("Exclusive games"); its games come from a regular
+// category run under `categories/campaign-{id}`, built by rebuildCategoriesIndex().
+const COLLECTION = "campaigns";
+const CACHE_TTL_MS = 60 * 1000;
+
+let campaignsCache = null; // { ts, list }
+
+export function campaignCategoryId(campaignId) {
+    return `campaign-${campaignId}`;
+}
+
+export function invalidateCampaigns() {
+    campaignsCache = null;
+}
+
+export async function listCampaigns() {
+    if (campaignsCache && Date.now() - campaignsCache.ts < CACHE_TTL_MS) return campaignsCache.list;
+
+    const firestore = db();
+    const snap = await firestore.collection(COLLECTION).get();
+    const list = snap.docs.map((d) => ({ ...d.data(), id: d.id }));
+
+    campaignsCache = { ts: Date.now(), list };
+    return list;
+}
+
+export function campaignStatus(c, at = Date.now()) {
+    if (c.enabled === false) return "disabled";
+    if (at < Date.parse(c.startAt)) return "upcoming";
+    if (at >= Date.parse(c.endAt)) return "ended";
+    return "active";
+}
+
+// Highest priority wins when campaigns overlap, then the one that started last.
+export function pickActiveCampaign(list, at = Date.now()) {
+    return list
+        .filter((c) => campaignStatus(c, at) === "active")
+        .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0) || Date.parse(b.startAt) - Date.parse(a.startAt))[0] || null;
+}
+
+// "/regex/" entries are used as-is, anything else is a whole-word keyword.
+function patternsToRegexSource(list) {
+    const parts = (list || []).map((p) => {
+        const s = String(p).trim();
+        const m = s.match(/^\/(.+)\/$/);
+        return m ? `(?:${m[1]})` : `\\b${s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`;
+    }).filter(Boolean);
+    return parts.length ? parts.join("|") : null;
+}
+
+// Campaign -> rule for categoryEngine.evaluateCategory(); manual ids act as pins.
+export function campaignToRule(c) {
+    const filter = {};
+
+    const include = patternsToRegexSource(c.include);
+    const exclude = patternsToRegexSource(c.exclude);
+    if (include || exclude) filter.name = { include, exclude };
+    // Stored as slugs since validation; older docs may still hold display names.
+    if (Array.isArray(c.providers) && c.providers.length) filter.provider = { in: c.providers.map(providerSlugOf) };
+
+    return {
+        id: campaignCategoryId(c.id),
+        title: c.title,
+        icon: c.icon,
+        filter,
+        sort: "updated",
+        limit: Number(c.limit) || 80,
+        // Without include patterns or providers the campaign is a hand-picked list.
+        pinnedOnly: !include && !filter.provider,
+    };
+}
+
+function stringList(v, name) {
+    if (v === undefined) return [];
+    if (!Array.isArray(v)) throw new Error(`${name} must be an array`);
+    return v.map((x) => String(x).trim()).filter(Boolean);
+}
+
+// Validates admin input into a campaign doc; throws with a readable message.
+export function validateCampaign(input) {
+    const title = String(input?.title || "").trim();
+    if (!title) throw new Error("title is required");
+
+    const startTs = Date.parse(String(input?.startAt || ""));
+    const endTs = Date.parse(String(input?.endAt || ""));
+    if (!Number.isFinite(startTs)) throw new Error("startAt must be a date");
+    if (!Number.isFinite(endTs)) throw new Error("endAt must be a date");
+    if (endTs <= startTs) throw new Error("endAt must be after startAt");
+
+    const doc = {
+        title,
+        icon: String(input?.icon || "🎁"),
+        startAt: new Date(startTs).toISOString(),
+        endAt: new Date(endTs).toISOString(),
+        include: stringList(input?.include, "include"),
+        exclude: stringList(input?.exclude, "exclude"),
+        // Games are matched on providerSlug, so "Pragmatic Play" and "pragmatic-play" both work.
+        providers: [...new Set(stringList(input?.providers, "providers").map(providerSlugOf).filter(Boolean))],
+        ids: stringList(input?.ids, "ids"),
+        priority: Number(input?.priority) || 0,
+        limit: Math.min(Math.max(Number(input?.limit) || 80, 1), 200),
+        enabled: input?.enabled !== false,
+    };
+
+    if (!doc.include.length && !doc.providers.length && !doc.ids.length) {
+        throw new Error("A campaign needs include patterns, providers or ids");
+    }
+
+    // Surface bad regexes now rather than at rebuild time.
+    for (const src of [patternsToRegexSource(doc.include), patternsToRegexSource(doc.exclude)]) {
+        if (!src) continue;
+        try {
+            new RegExp(src, "i");
+        } catch (e) {
+            throw new Error(`Invalid pattern: ${e.message}`);
+        }
+    }
+
+    return doc;
+}
+
+export async function saveCampaign(id, input) {
+    if (!/^[\w-]+$/.test(String(id))) throw new Error("Invalid campaign id");
+    const doc = validateCampaign(input);
+    doc.providers = [...new Set(await Promise.all(doc.providers.map(resolveProviderSlug)))];
+
+    const firestore = db();
+    await firestore.collection(COLLECTION).doc(String(id)).set(
+        { ...doc, updatedAt: new Date().toISOString() },
+        { merge: false }
+    );
+
+    invalidateCampaigns();
+    return { ...doc, id: String(id) };
+}
+
+export async function deleteCampaign(id) {
+    const firestore = db();
+    const ref = firestore.collection(COLLECTION).doc(String(id));
+    const snap = await ref.get();
+    if (!snap.exists) return false;
+
+    await ref.delete();
+    invalidateCampaigns();
+    return true;
+}
@@ -1,8 +1,39 @@
-// Simple categories to start.
-// You can replace "best" later with telemetry (most clicked).
+// Category rules. Each entry is evaluated by categoryEngine.js for the index rebuild,
+// and home/`/api/categories` serve the resulting runs, so adding a category is config only.
+//
+//   filter   rtp { min, max }, provider { in, notIn } (provider slugs),
+//            createdAt { maxAgeDays }, name { include, exclude } (regex sources, case-insensitive),
+//            tags { any, all } (matched against tags, themes and features), gameType { in }
+//   sort     "updated" | "newest" | "rtp" | "name" | "popular" (plays, time-decayed)
+//   limit    max items in a run
+//   campaignSlot  an active campaign takes this category's place on home
+//
+// Hand-picked lists ("Best games", "Casual games", ...) are collections, see collections.js.
 export const CATEGORY_DEFS = [
-    { id: "best", title: "Best games", icon: "⭐" },
-    { id: "rtp97", title: "RTP 97%+", icon: "🎰" },
-    { id: "exclusive", title: "Exclusive games", icon: "🎁" },
-    { id: "new", title: "New games", icon: "🆕" },
+    // Replaced by the active campaign (see campaigns.js); this rule is the off-season default.
+    {
+        id: "exclusive",
+        title: "Exclusive games",
+        icon: "🎁",
+        campaignSlot: true,
+        filter: { tags: { any: ["bonus_buy", "megaways"] } },
+        sort: "updated",
+        limit: 80,
+    },
+    { id: "new", title: "New games", icon: "🆕", sort: "newest", limit: 80 },
+    { id: "rtp97", title: "RTP 97%+", icon: "🎯", filter: { rtp: { min: 97 } }, sort: "rtp", limit: 80 },
 ];
+
+// Pinned docs first (in pin order), then the pool without duplicates, capped at limit.
+export function mergePinnedFirst(pinnedDocs, poolDocs, limit) {
+    const pinnedIds = new Set(pinnedDocs.map((g) => String(g.id)));
+    const merged = [...pinnedDocs];
+
+    for (const g of poolDocs) {
+        if (merged.length >= limit) break;
+        if (pinnedIds.has(String(g.id))) continue;
+        merged.push(g);
+    }
+
+    return merged.slice(0, limit);
+}
@@ -0,0 +1,91 @@
+import { mergePinnedFirst } from "./categories.js";
+
+// Evaluates the declarative rules in CATEGORY_DEFS (and collection/campaign rules) against game docs.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function safeTs(v) {
+    if (typeof v === "number" && Number.isFinite(v)) return v;
+    const t = Date.parse(String(v || ""));
+    return Number.isFinite(t) ? t : 0;
+}
+
+export const SORTS = {
+    updated: (a, b) => safeTs(b.updatedAtTs || b.updatedAt) - safeTs(a.updatedAtTs || a.updatedAt),
+    newest: (a, b) => safeTs(b.createdAtTs || b.createdAt) - safeTs(a.createdAtTs || a.createdAt),
+    rtp: (a, b) => (b.rtp ?? 0) - (a.rtp ?? 0),
+    name: (a, b) => String(a.name || "").localeCompare(String(b.name || "")),
+    // Decayed play count (telemetry.js), attached by the rebuild; unplayed games fall back to updated order.
+    popular: (a, b) => (b.popularity || 0) - (a.popularity || 0) || SORTS.updated(a, b),
+};
+
+function lowerList(v) {
+    return (Array.isArray(v) ? v : []).map((x) => String(x).toLowerCase());
+}
+
+// Tags, themes and features as one lowercase set (also used by similar.js).
+export function tagsOf(g) {
+    return new Set([...lowerList(g.tags), ...lowerList(g.themes), ...lowerList(g.features)]);
+}
+
+// Turns a rule's filter block into a predicate. Throws on unknown keys or bad regexes,
+// so a broken rule fails the rebuild instead of silently matching everything.
+export function compileFilter(filter = {}) {
+    const checks = [];
+
+    for (const [key, spec] of Object.entries(filter || {})) {
+        if (key === "rtp") {
+            const { min = null, max = null } = spec;
+            checks.push((g) => Number.isFinite(g.rtp)
+                && (min === null || g.rtp >= min)
+                && (max === null || g.rtp <= max));
+        } else if (key === "provider") {
+            const inSet = spec.in ? new Set(spec.in) : null;
+            const outSet = new Set(spec.notIn || []);
+            checks.push((g) => (!inSet || inSet.has(g.providerSlug)) && !outSet.has(g.providerSlug));
+        } else if (key === "createdAt") {
+            const maxAgeMs = Number(spec.maxAgeDays) * DAY_MS;
+            if (!Number.isFinite(maxAgeMs)) throw new Error("createdAt.maxAgeDays must be a number");
+            checks.push((g) => {
+                const ts = safeTs(g.createdAtTs || g.createdAt);
+                return ts > 0 && Date.now() - ts < maxAgeMs;
+            });
+        } else if (key === "name") {
+            const include = spec.include ? new RegExp(spec.include, "i") : null;
+            const exclude = spec.exclude ? new RegExp(spec.exclude, "i") : null;
+            checks.push((g) => {
+                const name = String(g.name || "");
+                return (!include || include.test(name)) && (!exclude || !exclude.test(name));
+            });
+        } else if (key === "tags") {
+            const any = lowerList(spec.any);
+            const all = lowerList(spec.all);
+            checks.push((g) => {
+                const tags = tagsOf(g);
+                return (!any.length || any.some((t) => tags.has(t))) && all.every((t) => tags.has(t));
+            });
+        } else if (key === "gameType") {
+            const types = new Set(spec.in || []);
+            checks.push((g) => types.has(g.gameType));
+        } else {
+            throw new Error(`Unknown filter: ${key}`);
+        }
+    }
+
+    return (g) => checks.every((check) => check(g));
+}
+
+// Ordered game docs for one rule. pinnedIds (a collection's or campaign's ids) skip the
+// filter and keep their order; `pinnedOnly` rules are just those.
+export function evaluateCategory(def, games, { pinnedIds = [], defaultLimit = 80 } = {}) {
+    const limit = def.limit ?? defaultLimit;
+    const byId = new Map(games.map((g) => [String(g.id), g]));
+    const pinnedDocs = pinnedIds.map((id) => byId.get(String(id))).filter(Boolean);
+
+    if (def.pinnedOnly) return pinnedDocs.slice(0, limit);
+
+    const sort = SORTS[def.sort || "updated"];
+    if (!sort) throw new Error(`Unknown sort: ${def.sort}`);
+
+    const pool = games.filter(compileFilter(def.filter)).sort(sort);
+    return mergePinnedFirst(pinnedDocs, pool, limit);
+}
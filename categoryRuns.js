@@ -0,0 +1,123 @@
+import { db } from "./firebase.js";
+import { deleteCollectionRef } from "./admin.js";
+
+// Runs written by rebuildCategoriesIndex(): categories/{id}/runs/{runId}/items/{gameId}.
+// Run ids are Date.now() strings, so numeric order is creation order.
+const KEEP_RUNS = Math.max(1, Number(process.env.CATEGORY_RUNS_KEEP || 5));
+
+function runsCol(categoryId) {
+    return db().collection("categories").doc(String(categoryId)).collection("runs");
+}
+
+// Newest first. listDocuments() also returns runs that only exist as an items subcollection
+// (older rebuilds did not write a run doc).
+export async function listCategoryRuns(categoryId) {
+    const refs = await runsCol(categoryId).listDocuments();
+    if (!refs.length) return [];
+
+    const snaps = await db().getAll(...refs);
+    return snaps
+        .map((s) => ({
+            runId: s.id,
+            createdAt: s.exists ? s.data()?.createdAt || null : null,
+            itemCount: s.exists ? s.data()?.itemCount ?? null : null,
+        }))
+        .sort((a, b) => Number(b.runId) - Number(a.runId));
+}
+
+async function deleteRun(categoryId, runId) {
+    const runRef = runsCol(categoryId).doc(String(runId));
+    await deleteCollectionRef(runRef.collection("items"));
+    await runRef.delete();
+}
+
+// Keeps the newest `keep` runs plus the active one (which a freeze pins); deletes the rest.
+export async function pruneCategoryRuns(categoryId, { keep = KEEP_RUNS } = {}) {
+    const firestore = db();
+    const catSnap = await firestore.collection("categories").doc(String(categoryId)).get();
+    const activeRunId = catSnap.exists ? String(catSnap.data()?.activeRunId || "") : "";
+
+    const runs = await listCategoryRuns(categoryId);
+    const doomed = runs.slice(keep).filter((r) => r.runId !== activeRunId);
+
+    for (const r of doomed) await deleteRun(categoryId, r.runId);
+
+    return { kept: runs.length - doomed.length, deleted: doomed.map((r) => r.runId) };
+}
+
+const DEFAULT_FREEZE_HOURS = 24;
+const MAX_FREEZE_HOURS = 24 * 30;
+
+// A rolled-back category keeps its run (pinnedRunId) until frozenUntil; rebuilds still write
+// new runs but leave activeRunId alone. Expired pins are cleared by the next rebuild.
+export function pinnedRunOf(category, now = Date.now()) {
+    if (!category?.pinnedRunId) return null;
+    return Date.parse(String(category.frozenUntil || "")) > now ? String(category.pinnedRunId) : null;
+}
+
+// Points activeRunId at runId, or at the run just before the active one when runId is omitted,
+// and freezes it there for freezeHours (0 = only until the next rebuild).
+export async function rollbackCategory(categoryId, { runId = null, freezeHours = DEFAULT_FREEZE_HOURS } = {}) {
+    const hours = Number(freezeHours);
+    if (!Number.isFinite(hours) || hours < 0 || hours > MAX_FREEZE_HOURS) {
+        throw new Error(`freezeHours must be a number between 0 and ${MAX_FREEZE_HOURS}`);
+    }
+
+    const firestore = db();
+    const catRef = firestore.collection("categories").doc(String(categoryId));
+    const catSnap = await catRef.get();
+    if (!catSnap.exists) throw new Error("Category not found");
+
+    const activeRunId = String(catSnap.data()?.activeRunId || "");
+    const runs = await listCategoryRuns(categoryId);
+
+    let target = null;
+    if (runId) {
+        target = runs.find((r) => r.runId === String(runId)) || null;
+        if (!target) throw new Error(`Run ${runId} not found`);
+    } else {
+        const idx = runs.findIndex((r) => r.runId === activeRunId);
+        target = idx >= 0 ? runs[idx + 1] || null : runs[0] || null;
+        if (!target) throw new Error("No previous run to roll back to");
+    }
+
+    if (target.runId === activeRunId) throw new Error("Run is already active");
+
+    const items = await runsCol(categoryId).doc(target.runId).collection("items").count().get();
+    const itemCount = items.data().count;
+    if (!itemCount) throw new Error(`Run ${target.runId} has no items`);
+
+    const frozenUntil = hours > 0 ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null;
+    await catRef.set(
+        {
+            activeRunId: target.runId,
+            itemCount,
+            pinnedRunId: frozenUntil ? target.runId : null,
+            frozenUntil,
+            rolledBackFrom: activeRunId || null,
+            rolledBackAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+        },
+        { merge: true }
+    );
+
+    return { previousRunId: activeRunId || null, activeRunId: target.runId, itemCount, frozenUntil };
+}
+
+// Lifts a rollback freeze; the next rebuild makes its own run active again.
+export async function unfreezeCategory(categoryId) {
+    const catRef = db().collection("categories").doc(String(categoryId));
+    const catSnap = await catRef.get();
+    if (!catSnap.exists) throw new Error("Category not found");
+
+    await catRef.set({ pinnedRunId: null, frozenUntil: null, updatedAt: new Date().toISOString() }, { merge: true });
+    return { activeRunId: catSnap.data()?.activeRunId || null };
+}
+
+// Removes a category doc with all its runs (used when a collection is deleted).
+export async function deleteCategory(categoryId) {
+    const runs = await listCategoryRuns(categoryId);
+    for (const r of runs) await deleteRun(categoryId, r.runId);
+    await db().collection("categories").doc(String(categoryId)).delete();
+    return { deletedRuns: runs.length };
+}
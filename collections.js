@@ -0,0 +1,243 @@
+import { db } from "./firebase.js";
+import { CATEGORY_DEFS } from "./categories.js";
+import { SORTS, compileFilter } from "./categoryEngine.js";
+
+// Curated collections in `collections/{slug}`: a title, an icon, hand-ordered ids and an
+// optional fill-from rule that tops the list up after the ids. Each collection is built into
+// a regular category run under `categories/{slug}` by rebuildCategoriesIndex(); where (and whether)
+// it shows on home is up to the home layout (homeLayout.js).
+const COLLECTION = "collections";
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_IDS = 200;
+
+// Seeded once per database; ids are taken over from the old meta/curation pin lists.
+const DEFAULT_COLLECTIONS = [
+    {
+        slug: "best",
+        title: "Best games",
+        icon: "⭐",
+        curationField: "bestPinnedIds",
+        fill: { sort: "popular" },
+        pullList: [
+            { name: "Zeus vs Hades gods of war" },
+            { name: "wanted dead or a wild" },
+            { name: "Sweet bonanza 1000" },
+            { name: "Mental 2" },
+            { name: "Brute Force" },
+        ],
+    },
+    {
+        slug: "casual",
+        title: "Casual games",
+        icon: "🎮",
+        curationField: "casualPinnedIds",
+        fill: null,
+        pullList: [
+            { name: "Plinko", provider: "BGaming" },
+            { name: "Aviator", provider: "Spribe" },
+            { name: "Chicken Road", provider: "InOut" },
+            { name: "Chicken Road 2", provider: "InOut" },
+            { name: "Thimbles", provider: "Evoplay" },
+            { name: "Squid Gamebler", provider: "InOut" },
+            { name: "Balloon", provider: "SmartSoft Gaming" },
+            { name: "Mines", provider: "Hacksaw Gaming" },
+            { name: "Aviamasters", provider: "BGaming" },
+        ],
+    },
+];
+
+let collectionsCache = null; // { ts, list }
+
+export function invalidateCollections() {
+    collectionsCache = null;
+}
+
+let seedChecked = false; // meta/collectionsSeeded seen by this instance
+
+// Seeds the defaults once per database, recorded in meta/collectionsSeeded, so deleting every
+// collection does not bring them back. Databases that already have collections are only marked.
+async function seedDefaultCollectionsOnce(firestore) {
+    if (seedChecked) return;
+
+    const markerRef = firestore.collection("meta").doc("collectionsSeeded");
+    const curationRef = firestore.collection("meta").doc("curation");
+
+    // Plain read first: after the first start the marker exists and no transaction is needed.
+    if ((await markerRef.get()).exists) {
+        seedChecked = true;
+        return;
+    }
+
+    await firestore.runTransaction(async (tx) => {
+        const marker = await tx.get(markerRef);
+        if (marker.exists) return;
+
+        const existing = await tx.get(firestore.collection(COLLECTION).limit(1));
+        const now = new Date().toISOString();
+
+        if (existing.empty) {
+            const curationSnap = await tx.get(curationRef);
+            const curation = curationSnap.exists ? curationSnap.data() : {};
+
+            for (const { curationField, ...c } of DEFAULT_COLLECTIONS) {
+                const ids = Array.isArray(curation[curationField]) ? curation[curationField].map(String) : [];
+                tx.set(firestore.collection(COLLECTION).doc(c.slug), {
+                    ...c,
+                    ids,
+                    limit: 80,
+                    createdAt: now,
+                    updatedAt: now,
+                });
+            }
+        }
+
+        tx.set(markerRef, { seededAt: now, seeded: existing.empty ? DEFAULT_COLLECTIONS.map((c) => c.slug) : [] });
+    });
+
+    seedChecked = true;
+}
+
+export async function listCollections() {
+    if (collectionsCache && Date.now() - collectionsCache.ts < CACHE_TTL_MS) return collectionsCache.list;
+
+    const firestore = db();
+    await seedDefaultCollectionsOnce(firestore);
+    const snap = await firestore.collection(COLLECTION).get();
+
+    const list = snap.docs.map((d) => ({ ...d.data(), slug: d.id }));
+    collectionsCache = { ts: Date.now(), list };
+    return list;
+}
+
+export async function getCollection(slug) {
+    return (await listCollections()).find((c) => c.slug === String(slug)) || null;
+}
+
+// Collection -> rule for categoryEngine.evaluateCategory(); its ids act as pins.
+export function collectionToRule(c) {
+    return {
+        id: c.slug,
+        title: c.title,
+        icon: c.icon,
+        filter: c.fill?.filter || {},
+        sort: c.fill?.sort || "updated",
+        limit: Number(c.limit) || 80,
+        pinnedOnly: !c.fill,
+        collection: true,
+    };
+}
+
+function idList(v) {
+    if (!Array.isArray(v)) throw new Error("ids must be an array");
+    const ids = [...new Set(v.map((x) => String(x).trim()).filter(Boolean))];
+    if (ids.length > MAX_IDS) throw new Error(`At most ${MAX_IDS} ids`);
+    return ids;
+}
+
+function validateFill(fill) {
+    if (fill === null) return null;
+    if (typeof fill !== "object") throw new Error("fill must be an object or null");
+
+    const out = { filter: fill.filter || {}, sort: fill.sort || "updated" };
+    if (!SORTS[out.sort]) throw new Error(`Unknown sort: ${out.sort}`);
+    compileFilter(out.filter); // throws on unknown keys and bad regexes
+
+    return out;
+}
+
+function validatePullList(v) {
+    if (!Array.isArray(v)) throw new Error("pullList must be an array");
+    return v
+        .map((x) => (typeof x === "string" ? { name: x } : x))
+        .map((x) => ({ name: String(x?.name || "").trim(), provider: String(x?.provider || "").trim() }))
+        .filter((x) => x.name)
+        .map((x) => (x.provider ? x : { name: x.name }));
+}
+
+// Validates admin input for create/update. Only given fields are returned, so updates merge.
+export function validateCollection(input, { creating = false } = {}) {
+    const out = {};
+
+    // Older clients still send these; fail loudly rather than ignore them.
+    if (input.home !== undefined || input.homePosition !== undefined) {
+        throw new Error("home and homePosition are set through the home layout (PUT /api/admin/home-layout)");
+    }
+
+    if (creating || input.title !== undefined) {
+        const title = String(input.title || "").trim();
+        if (!title) throw new Error("title is required");
+        out.title = title;
+    }
+    if (input.icon !== undefined || creating) out.icon = String(input.icon || "📁");
+    if (input.ids !== undefined) out.ids = idList(input.ids);
+    if (input.fill !== undefined) out.fill = validateFill(input.fill);
+    if (input.limit !== undefined || creating) out.limit = Math.min(Math.max(Number(input.limit) || 80, 1), MAX_IDS);
+    if (input.pullList !== undefined) out.pullList = validatePullList(input.pullList);
+
+    return out;
+}
+
+// Collections share the categories/{id} namespace with CATEGORY_DEFS and campaigns.
+function validateSlug(slug) {
+    const s = String(slug || "");
+    if (!/^[a-z0-9][a-z0-9-]{0,39}$/.test(s)) throw new Error("slug must be lowercase letters, digits and dashes");
+    if (CATEGORY_DEFS.some((c) => c.id === s) || s.startsWith("campaign-")) throw new Error(`slug "${s}" is reserved`);
+    return s;
+}
+
+// Creates the collection, or updates the given fields of an existing one.
+export async function saveCollection(slug, input) {
+    const id = validateSlug(slug);
+    const firestore = db();
+    const ref = firestore.collection(COLLECTION).doc(id);
+    const snap = await ref.get();
+
+    const patch = validateCollection(input || {}, { creating: !snap.exists });
+    const now = new Date().toISOString();
+
+    if (snap.exists) {
+        await ref.set({ ...patch, updatedAt: now }, { merge: true });
+    } else {
+        await ref.set({
+            slug: id,
+            ids: [],
+            fill: null,
+            pullList: [],
+            ...patch,
+            createdAt: now,
+            updatedAt: now,
+        });
+    }
+
+    invalidateCollections();
+    return { created: !snap.exists, collection: { ...(await ref.get()).data(), slug: id } };
+}
+
+export async function setCollectionIds(slug, ids) {
+    const firestore = db();
+    await firestore.collection(COLLECTION).doc(String(slug)).set(
+        { ids: idList(ids), updatedAt: new Date().toISOString() },
+        { merge: true }
+    );
+    invalidateCollections();
+}
+
+// New order for the current ids. Ids left out keep their relative order after the given ones.
+export function reorderIds(current, order) {
+    const ids = idList(order);
+    const unknown = ids.filter((id) => !current.includes(id));
+    if (unknown.length) throw new Error(`Not in collection: ${unknown.join(", ")}`);
+
+    return [...ids, ...current.filter((id) => !ids.includes(id))];
+}
+
+export async function removeCollection(slug) {
+    const firestore = db();
+    const ref = firestore.collection(COLLECTION).doc(String(slug));
+    const snap = await ref.get();
+    if (!snap.exists) return false;
+
+    await ref.delete();
+    invalidateCollections();
+    return true;
+}
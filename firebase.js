@@ -28,3 +28,10 @@ export function db() {
     initFirebase();
     return admin.firestore();
 }
+
+// Cloud Storage bucket (snapshots). The bucket name comes from the caller's config.
+// admin.storage() needs @google-cloud/storage, an optional dependency of firebase-admin; package.json declares it.
+export function storageBucket(name) {
+    initFirebase();
+    return admin.storage().bucket(name);
+}
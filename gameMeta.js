@@ -0,0 +1,138 @@
+// Defensive parsers for the optional metadata SlotsLaunch sends with a game.
+// Every parser accepts whatever shape comes back (number, numeric string, object, list)
+// and returns a typed value or null/[] instead of throwing.
+
+export function parseNumber(raw, { min = -Infinity, max = Infinity, integer = false } = {}) {
+    let n = null;
+
+    if (typeof raw === "number" && Number.isFinite(raw)) {
+        n = raw;
+    } else if (typeof raw === "string") {
+        // "96,5%", "x5,000", "5000x", "1 024"
+        let cleaned = raw.replace(/[%x×\s]/gi, "").trim();
+        cleaned = /^\d{1,3}(,\d{3})+(\.\d+)?$/.test(cleaned)
+            ? cleaned.replace(/,/g, "")
+            : cleaned.replace(",", ".");
+        const parsed = Number(cleaned);
+        if (cleaned && Number.isFinite(parsed)) n = parsed;
+    }
+
+    if (n === null) return null;
+    if (integer) n = Math.round(n);
+    if (n < min || n > max) return null;
+    return n;
+}
+
+export function parseRtp(raw) {
+    return parseNumber(raw, { min: 0, max: 100 });
+}
+
+function nameOf(v) {
+    if (typeof v === "string") return v;
+    if (v && typeof v === "object") return v.name || v.title || v.label || v.slug || "";
+    return "";
+}
+
+// ["Egypt", { name: "Fruits" }] or "Egypt, Fruits" -> ["Egypt", "Fruits"]
+export function parseNameList(raw) {
+    const list = Array.isArray(raw)
+        ? raw.map(nameOf)
+        : typeof raw === "string"
+            ? raw.split(/[,;|]/)
+            : [];
+
+    const seen = new Set();
+    const out = [];
+    for (const item of list) {
+        const name = String(item || "").trim();
+        const key = name.toLowerCase();
+        if (!name || seen.has(key)) continue;
+        seen.add(key);
+        out.push(name);
+    }
+    return out;
+}
+
+function featureKey(s) {
+    return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
+const FEATURE_PATTERNS = [
+    { key: "bonus_buy", test: (k) => k.includes("bonusbuy") || k.includes("buyfeature") || k.includes("featurebuy") || k.includes("buybonus") },
+    { key: "megaways", test: (k) => k.includes("megaways") },
+    { key: "free_spins", test: (k) => k.includes("freespin") },
+    { key: "cascading", test: (k) => k.includes("cascad") || k.includes("tumbl") || k.includes("avalanche") },
+    { key: "multiplier", test: (k) => k.includes("multiplier") },
+    { key: "jackpot", test: (k) => k.includes("jackpot") },
+    { key: "cluster_pays", test: (k) => k.includes("cluster") },
+    { key: "hold_and_win", test: (k) => k.includes("holdandwin") || k.includes("holdandspin") },
+];
+
+function truthyFlag(v) {
+    return v === true || v === 1 || v === "1" || String(v).toLowerCase() === "true";
+}
+
+// Returns canonical feature keys; explicit boolean fields count as well as named features.
+export function parseFeatures(g) {
+    const names = [
+        ...parseNameList(g?.features),
+        ...parseNameList(g?.feature),
+        ...parseNameList(g?.tags),
+    ];
+
+    const keys = new Set();
+    for (const name of names) {
+        const k = featureKey(name);
+        for (const p of FEATURE_PATTERNS) {
+            if (p.test(k)) keys.add(p.key);
+        }
+    }
+
+    if (truthyFlag(g?.bonus_buy) || truthyFlag(g?.buy_feature)) keys.add("bonus_buy");
+    if (truthyFlag(g?.megaways)) keys.add("megaways");
+    if (truthyFlag(g?.free_spins)) keys.add("free_spins");
+
+    return [...keys].sort();
+}
+
+const VOLATILITY_LEVELS = ["low", "medium", "high", "very_high"];
+
+// "Medium-High" rounds up; numeric 1-5 scales map onto the same levels.
+export function parseVolatility(raw) {
+    const v = typeof raw === "object" && raw ? nameOf(raw) : raw;
+
+    const n = parseNumber(v, { min: 1, max: 5 });
+    if (n !== null) return VOLATILITY_LEVELS[Math.min(3, Math.max(0, Math.ceil(n) - 2))];
+
+    const k = featureKey(v);
+    if (!k) return null;
+    if (k.includes("veryhigh") || k.includes("extreme") || k.includes("insane")) return "very_high";
+    if (k.includes("high")) return "high";
+    if (k.includes("med") || k.includes("average")) return "medium";
+    if (k.includes("low")) return "low";
+    return null;
+}
+
+export const GAME_TYPES = ["slot", "crash", "table", "instant"];
+
+export function parseGameType(g) {
+    const candidates = [g?.type, g?.game_type, g?.category, g?.categories]
+        .flatMap((v) => (Array.isArray(v) ? v : [v]))
+        .map((v) => featureKey(nameOf(v)))
+        .filter(Boolean);
+
+    for (const k of candidates) {
+        if (k.includes("crash")) return "crash";
+        if (k.includes("slot") || k.includes("megaways")) return "slot";
+        if (
+            k.includes("table") || k.includes("roulette") || k.includes("blackjack") ||
+            k.includes("baccarat") || k.includes("poker")
+        ) return "table";
+        if (
+            k.includes("instant") || k.includes("scratch") || k.includes("plinko") ||
+            k.includes("mines") || k.includes("dice") || k.includes("arcade") || k.includes("casual")
+        ) return "instant";
+    }
+
+    return null;
+}
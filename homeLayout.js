@@ -0,0 +1,118 @@
+import { db } from "./firebase.js";
+
+// Home screen layout in `meta/homeLayout`:
+//   { sections: [{ id, visible, limit, title?, icon? }], updatedAt }
+// Order in the array is the order on home. Sections are category rules or collections;
+// anything the layout does not mention falls back to DEFAULT_ORDER below.
+const CACHE_TTL_MS = 60 * 1000;
+
+export const DEFAULT_SECTION_LIMIT = 50;
+export const MAX_SECTION_LIMIT = 100;
+
+// Layout used while meta/homeLayout does not exist.
+const DEFAULT_ORDER = ["exclusive", "best", "casual", "new", "rtp97"];
+
+let layoutCache = null; // { ts, layout }
+
+function layoutRef() {
+    return db().collection("meta").doc("homeLayout");
+}
+
+export function invalidateHomeLayout() {
+    layoutCache = null;
+}
+
+// Stored layout, or null when none has been saved.
+export async function getHomeLayout() {
+    if (layoutCache && Date.now() - layoutCache.ts < CACHE_TTL_MS) return layoutCache.layout;
+
+    const snap = await layoutRef().get();
+    const layout = snap.exists ? snap.data() : null;
+
+    layoutCache = { ts: Date.now(), layout };
+    return layout;
+}
+
+// Every servable rule with its home settings applied (title, icon, homeLimit, visible), in home order. Hidden sections are kept
+// (visible: false) so admin screens can show them. Rules not in the layout go last: category
+// rules visible, collections hidden until an admin places them.
+export function resolveHomeSections(rules, layout) {
+    const byId = new Map(rules.map((r) => [r.id, r]));
+    const entries = layout?.sections
+        || DEFAULT_ORDER.filter((id) => byId.has(id)).map((id) => ({ id, visible: true }));
+
+    const out = [];
+    const seen = new Set();
+
+    for (const e of entries) {
+        const rule = byId.get(e.id);
+        if (!rule || seen.has(e.id)) continue; // deleted collection or duplicate
+        seen.add(e.id);
+        out.push({
+            ...rule,
+            title: e.title || rule.title,
+            icon: e.icon || rule.icon,
+            homeLimit: e.limit || DEFAULT_SECTION_LIMIT,
+            visible: e.visible !== false,
+        });
+    }
+
+    for (const rule of rules) {
+        if (seen.has(rule.id)) continue;
+        out.push({ ...rule, homeLimit: DEFAULT_SECTION_LIMIT, visible: !rule.collection });
+    }
+
+    return out;
+}
+
+function optionalText(v, name, max) {
+    if (v === undefined || v === null || v === "") return undefined;
+    const s = String(v).trim();
+    if (s.length > max) throw new Error(`${name} must be at most ${max} characters`);
+    return s || undefined;
+}
+
+// Validates admin input against the known section ids; throws with a readable message.
+export function validateHomeLayout(input, knownIds) {
+    if (!Array.isArray(input?.sections)) throw new Error("sections[] is required");
+
+    const known = new Set(knownIds);
+    const seen = new Set();
+
+    return {
+        sections: input.sections.map((e, idx) => {
+            const id = String(e?.id || "");
+            if (!known.has(id)) throw new Error(`sections[${idx}]: unknown section "${id}"`);
+            if (seen.has(id)) throw new Error(`sections[${idx}]: duplicate section "${id}"`);
+            seen.add(id);
+
+            const limit = e.limit === undefined ? DEFAULT_SECTION_LIMIT : Number(e.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SECTION_LIMIT) {
+                throw new Error(`sections[${idx}]: limit must be an integer from 1 to ${MAX_SECTION_LIMIT}`);
+            }
+            if (e.visible !== undefined && typeof e.visible !== "boolean") {
+                throw new Error(`sections[${idx}]: visible must be a boolean`);
+            }
+
+            const section = { id, visible: e.visible !== false, limit };
+            const title = optionalText(e.title, `sections[${idx}].title`, 60);
+            const icon = optionalText(e.icon, `sections[${idx}].icon`, 16);
+            if (title) section.title = title;
+            if (icon) section.icon = icon;
+            return section;
+        }),
+    };
+}
+
+export async function saveHomeLayout(layout) {
+    const doc = { ...layout, updatedAt: new Date().toISOString() };
+    await layoutRef().set(doc);
+    invalidateHomeLayout();
+    return doc;
+}
+
+// Back to DEFAULT_ORDER.
+export async function resetHomeLayout() {
+    await layoutRef().delete();
+    invalidateHomeLayout();
+}
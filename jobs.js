@@ -0,0 +1,264 @@
+import { db } from "./firebase.js";
+import { INSTANCE_ID } from "./lock.js";
+
+// Background jobs in `jobs/{id}` for admin work that takes longer than an HTTP request.
+// Routes enqueue and answer with the job id; every instance runs a small runner that claims
+// queued jobs one at a time (the claim is a transaction, so a job runs exactly once).
+//
+// Handlers get a ctx with progress(patch), log(msg) and throwIfCancelled(). Progress and logs
+// are flushed every few seconds together with a heartbeat; a running job whose heartbeat stops
+// (its instance died) is marked failed, as half-done admin work is not safe to replay.
+const COLLECTION = "jobs";
+const MAX_LOGS = 200;
+const FLUSH_INTERVAL_MS = 3000;
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.JOBS_POLL_INTERVAL_MS || 15 * 1000);
+
+const handlers = new Map(); // type -> async (ctx) => result
+const localCancels = new Set(); // ids of jobs running here that were cancelled through this instance
+
+let runnerBusy = false;
+let runnerKicked = false; // a kick arrived while the runner was busy
+
+function jobsCol() {
+    return db().collection(COLLECTION);
+}
+
+function cancelledError() {
+    const e = new Error("Job cancelled");
+    e.cancelled = true;
+    return e;
+}
+
+export function registerJobHandler(type, fn) {
+    handlers.set(String(type), fn);
+}
+
+export async function enqueueJob(type, params = {}) {
+    if (!handlers.has(type)) throw new Error(`Unknown job type: ${type}`);
+
+    const now = Date.now();
+    const id = `${now}-${Math.random().toString(36).slice(2, 8)}`;
+    const job = {
+        id,
+        type,
+        params,
+        status: "queued",
+        progress: {},
+        logs: [],
+        result: null,
+        error: null,
+        cancelRequested: false,
+        createdAt: new Date(now).toISOString(),
+        createdAtMs: now,
+    };
+
+    await jobsCol().doc(id).set(job);
+    kickJobRunner();
+    return job;
+}
+
+export async function getJob(id) {
+    const snap = await jobsCol().doc(String(id)).get();
+    return snap.exists ? snap.data() : null;
+}
+
+// Newest first. Filters are applied in memory to avoid composite indexes.
+export async function listJobs({ limit = 20, type = null, status = null } = {}) {
+    const snap = await jobsCol()
+        .orderBy("createdAtMs", "desc")
+        .limit(type || status ? 200 : limit)
+        .select("id", "type", "status", "progress", "error", "createdAt", "startedAt", "finishedAt", "durationMs")
+        .get();
+
+    return snap.docs
+        .map((d) => d.data())
+        .filter((j) => (!type || j.type === type) && (!status || j.status === status))
+        .slice(0, limit);
+}
+
+// Queued jobs are cancelled at once; running ones stop at their next throwIfCancelled().
+// Returns the job, or null when it does not exist.
+export async function cancelJob(id) {
+    const firestore = db();
+    const ref = jobsCol().doc(String(id));
+
+    const job = await firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+
+        const cur = snap.data();
+        if (cur.status === "queued") {
+            const patch = { status: "cancelled", cancelRequested: true, finishedAt: new Date().toISOString() };
+            tx.set(ref, patch, { merge: true });
+            return { ...cur, ...patch };
+        }
+        if (cur.status === "running") {
+            tx.set(ref, { cancelRequested: true }, { merge: true });
+            return { ...cur, cancelRequested: true };
+        }
+        return cur;
+    });
+
+    if (job?.status === "running") localCancels.add(job.id);
+    return job;
+}
+
+/* -----------------------------
+   Runner
+------------------------------ */
+
+async function claimNextJob() {
+    const firestore = db();
+    // Oldest first, so a steady stream of new jobs cannot starve old ones.
+    // Needs the (status, createdAtMs) composite index in firestore.indexes.json.
+    const snap = await jobsCol().where("status", "==", "queued").orderBy("createdAtMs").limit(20).get();
+    const queued = snap.docs
+        .map((d) => d.data())
+        .filter((j) => handlers.has(j.type));
+
+    for (const candidate of queued) {
+        const ref = jobsCol().doc(candidate.id);
+        const claimed = await firestore.runTransaction(async (tx) => {
+            const cur = await tx.get(ref);
+            if (!cur.exists || cur.data().status !== "queued") return null;
+
+            const now = Date.now();
+            const patch = {
+                status: "running",
+                instanceId: INSTANCE_ID,
+                startedAt: new Date(now).toISOString(),
+                startedAtMs: now,
+                heartbeatAtMs: now,
+            };
+            tx.set(ref, patch, { merge: true });
+            return { ...cur.data(), ...patch };
+        });
+        if (claimed) return claimed;
+    }
+
+    return null;
+}
+
+async function runJob(job) {
+    const ref = jobsCol().doc(job.id);
+    const state = { progress: {}, logs: [], dirty: false, cancelled: false, lastWriteMs: Date.now() };
+
+    const ctx = {
+        id: job.id,
+        params: job.params || {},
+        progress(patch) {
+            Object.assign(state.progress, patch);
+            state.dirty = true;
+        },
+        log(msg) {
+            state.logs.push({ at: new Date().toISOString(), msg: String(msg) });
+            if (state.logs.length > MAX_LOGS) state.logs.shift();
+            state.dirty = true;
+        },
+        throwIfCancelled() {
+            if (state.cancelled || localCancels.has(job.id)) throw cancelledError();
+        },
+    };
+
+    // Flush loop: progress/logs when changed, a heartbeat at least every HEARTBEAT_MS,
+    // and the cancel flag picked up from the doc (cancels may come through another instance).
+    let stopped = false;
+    const flushLoop = (async () => {
+        while (!stopped) {
+            await new Promise((r) => setTimeout(r, FLUSH_INTERVAL_MS));
+            if (stopped) break;
+            try {
+                if (state.dirty || Date.now() - state.lastWriteMs >= HEARTBEAT_MS) {
+                    state.dirty = false;
+                    state.lastWriteMs = Date.now();
+                    await ref.set(
+                        { progress: state.progress, logs: state.logs, heartbeatAtMs: state.lastWriteMs },
+                        { merge: true }
+                    );
+                }
+                const snap = await ref.get();
+                if (snap.get("cancelRequested") === true) state.cancelled = true;
+            } catch (e) {
+                console.error(`job ${job.id}: flush failed:`, e?.message || e);
+            }
+        }
+    })();
+
+    let outcome;
+    try {
+        const result = await handlers.get(job.type)(ctx);
+        outcome = { status: "succeeded", result: result ?? null, error: null };
+    } catch (e) {
+        outcome = e?.cancelled
+            ? { status: "cancelled", result: null, error: null }
+            : { status: "failed", result: null, error: String(e?.message || e) };
+    } finally {
+        stopped = true;
+        await flushLoop;
+        localCancels.delete(job.id);
+    }
+
+    const now = Date.now();
+    await ref.set(
+        {
+            ...outcome,
+            progress: state.progress,
+            logs: state.logs,
+            heartbeatAtMs: now,
+            finishedAt: new Date(now).toISOString(),
+            durationMs: now - (job.startedAtMs || now),
+        },
+        { merge: true }
+    );
+    console.log(`job ${job.id} (${job.type}) ${outcome.status}`);
+}
+
+// Running jobs nobody has heartbeated for STALE_AFTER_MS belong to a dead instance.
+async function failInterruptedJobs() {
+    const snap = await jobsCol().where("status", "==", "running").get();
+    const cutoff = Date.now() - STALE_AFTER_MS;
+
+    for (const d of snap.docs) {
+        if (Number(d.get("heartbeatAtMs")) > cutoff) continue;
+        await d.ref.set(
+            {
+                status: "failed",
+                error: "Interrupted: the instance running this job stopped",
+                finishedAt: new Date().toISOString(),
+            },
+            { merge: true }
+        );
+    }
+}
+
+async function runQueuedJobs() {
+    if (runnerBusy) {
+        runnerKicked = true;
+        return;
+    }
+    runnerBusy = true;
+
+    try {
+        await failInterruptedJobs();
+        do {
+            runnerKicked = false;
+            for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+                await runJob(job);
+            }
+        } while (runnerKicked);
+    } finally {
+        runnerBusy = false;
+    }
+}
+
+export function kickJobRunner() {
+    runQueuedJobs().catch((e) => console.error("job runner failed:", e?.message || e));
+}
+
+// Picks up jobs queued before a restart or through another instance.
+export function startJobRunner() {
+    kickJobRunner();
+    setInterval(kickJobRunner, POLL_INTERVAL_MS);
+}
@@ -0,0 +1,103 @@
+import os from "node:os";
+import { db } from "./firebase.js";
+
+// Lease-based locks in `locks/{name}`. A lease expires on its own if the holder dies,
+// so a crashed replica never blocks the others for longer than ttlMs.
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${Math.random().toString(36).slice(2, 8)}`;
+
+export async function acquireLock(name, { ttlMs = 10 * 60 * 1000, owner = INSTANCE_ID } = {}) {
+    const firestore = db();
+    const ref = firestore.collection("locks").doc(String(name));
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const now = Date.now();
+        const cur = snap.exists ? snap.data() : null;
+
+        if (cur && cur.owner !== owner && Number(cur.expiresAtMs) > now) return false;
+
+        tx.set(ref, {
+            owner,
+            acquiredAt: cur?.owner === owner ? cur.acquiredAt : new Date(now).toISOString(),
+            expiresAtMs: now + ttlMs,
+            expiresAt: new Date(now + ttlMs).toISOString(),
+        });
+        return true;
+    });
+}
+
+// Extends the lease; returns false if the lock was lost to another owner.
+export async function renewLock(name, { ttlMs = 10 * 60 * 1000, owner = INSTANCE_ID } = {}) {
+    const firestore = db();
+    const ref = firestore.collection("locks").doc(String(name));
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists || snap.data()?.owner !== owner) return false;
+
+        const now = Date.now();
+        tx.set(
+            ref,
+            { expiresAtMs: now + ttlMs, expiresAt: new Date(now + ttlMs).toISOString() },
+            { merge: true }
+        );
+        return true;
+    });
+}
+
+export async function releaseLock(name, { owner = INSTANCE_ID } = {}) {
+    const firestore = db();
+    const ref = firestore.collection("locks").doc(String(name));
+
+    await firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (snap.exists && snap.data()?.owner === owner) tx.delete(ref);
+    });
+}
+
+export async function getLock(name) {
+    const firestore = db();
+    const snap = await firestore.collection("locks").doc(String(name)).get();
+    if (!snap.exists) return null;
+    const data = snap.data();
+    return { ...data, active: Number(data.expiresAtMs) > Date.now() };
+}
+
+// Runs fn(lease) while holding the lock, renewing the lease in the background.
+// Returns { acquired: false } without calling fn when another owner holds it.
+// If a renewal finds the lock taken over (our lease expired), lease.lost is set; long work should
+// call lease.throwIfLost() between steps. A run that lost its lease fails even if fn finished.
+export async function withLock(name, fn, { ttlMs = 10 * 60 * 1000, owner = INSTANCE_ID } = {}) {
+    const acquired = await acquireLock(name, { ttlMs, owner });
+    if (!acquired) return { acquired: false };
+
+    const lease = {
+        lost: false,
+        throwIfLost() {
+            if (lease.lost) throw new Error(`Lost lock "${name}" to another owner`);
+        },
+    };
+
+    const heartbeat = setInterval(() => {
+        renewLock(name, { ttlMs, owner })
+            .then((renewed) => {
+                if (renewed || lease.lost) return;
+                lease.lost = true;
+                console.error(`lock "${name}" lost: lease expired and was taken over`);
+            })
+            .catch((e) => {
+                console.error(`renewLock failed (${name}):`, e?.message || e);
+            });
+    }, Math.max(1000, Math.floor(ttlMs / 3)));
+
+    try {
+        const result = await fn(lease);
+        lease.throwIfLost();
+        return { acquired: true, result };
+    } finally {
+        clearInterval(heartbeat);
+        await releaseLock(name, { owner }).catch((e) => {
+            console.error(`releaseLock failed (${name}):`, e?.message || e);
+        });
+    }
+}
@@ -0,0 +1,144 @@
+import admin from "firebase-admin";
+import { db } from "./firebase.js";
+
+// Manual per-game fixes in `gameOverrides/{gameId}`: { name?, thumb?, rtp?, enabled?, tags? }.
+// Sync only writes `games`, so fixes survive upstream updates. They are applied on the way out
+// (client responses, category runs, the search index); game docs keep the upstream values.
+const COLLECTION = "gameOverrides";
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_TAGS = 30;
+
+export const OVERRIDE_FIELDS = ["name", "thumb", "rtp", "enabled", "tags"];
+
+let overridesCache = null; // { ts, map: Map(gameId -> override) }
+let overridesInFlight = null;
+
+export function invalidateOverrides() {
+    overridesCache = null;
+}
+
+// All overrides, keyed by game id. The collection only holds hand-edited games, so it stays small.
+export async function loadOverrides() {
+    if (overridesCache && Date.now() - overridesCache.ts < CACHE_TTL_MS) return overridesCache.map;
+
+    if (!overridesInFlight) {
+        overridesInFlight = (async () => {
+            const snap = await db().collection(COLLECTION).get();
+            const map = new Map(snap.docs.map((d) => [d.id, d.data()]));
+            overridesCache = { ts: Date.now(), map };
+            return map;
+        })().finally(() => {
+            overridesInFlight = null;
+        });
+    }
+
+    try {
+        return await overridesInFlight;
+    } catch (e) {
+        if (overridesCache?.map) return overridesCache.map;
+        throw e;
+    }
+}
+
+// The game as served. An override can hide a game (enabled: false) but never revives one
+// that upstream retired.
+export function applyOverride(g, ov) {
+    if (!ov) return g;
+
+    const out = { ...g };
+    if (ov.name !== undefined) out.name = ov.name;
+    if (ov.thumb !== undefined) out.thumb = ov.thumb;
+    if (ov.rtp !== undefined) out.rtp = ov.rtp;
+    if (ov.tags !== undefined) out.tags = ov.tags;
+    if (ov.enabled === false) out.enabled = false;
+    return out;
+}
+
+export function applyOverrides(games, map) {
+    return games.map((g) => applyOverride(g, map.get(String(g.id))));
+}
+
+export async function getOverride(gameId) {
+    const snap = await db().collection(COLLECTION).doc(String(gameId)).get();
+    return snap.exists ? snap.data() : null;
+}
+
+// Validates admin input; null clears a field. Throws with a readable message.
+export function validateOverride(input) {
+    const unknown = Object.keys(input || {}).filter((k) => !OVERRIDE_FIELDS.includes(k));
+    if (unknown.length) throw new Error(`Unknown fields: ${unknown.join(", ")}`);
+
+    const patch = {};
+
+    if (input.name !== undefined) {
+        if (input.name === null) patch.name = null;
+        else {
+            const name = String(input.name).trim();
+            if (!name || name.length > 120) throw new Error("name must be 1-120 characters");
+            patch.name = name;
+        }
+    }
+    if (input.thumb !== undefined) {
+        if (input.thumb === null) patch.thumb = null;
+        else {
+            const thumb = String(input.thumb).trim();
+            if (!/^https?:\/\//i.test(thumb)) throw new Error("thumb must be an http(s) URL");
+            patch.thumb = thumb;
+        }
+    }
+    if (input.rtp !== undefined) {
+        if (input.rtp === null) patch.rtp = null;
+        else {
+            const rtp = Number(input.rtp);
+            if (!Number.isFinite(rtp) || rtp <= 0 || rtp > 100) throw new Error("rtp must be a number in (0, 100]");
+            patch.rtp = rtp;
+        }
+    }
+    if (input.enabled !== undefined) {
+        if (input.enabled !== null && typeof input.enabled !== "boolean") throw new Error("enabled must be a boolean");
+        patch.enabled = input.enabled;
+    }
+    if (input.tags !== undefined) {
+        if (input.tags === null) patch.tags = null;
+        else {
+            if (!Array.isArray(input.tags)) throw new Error("tags must be an array");
+            const tags = [...new Set(input.tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+            if (tags.length > MAX_TAGS) throw new Error(`At most ${MAX_TAGS} tags`);
+            patch.tags = tags;
+        }
+    }
+
+    if (!Object.keys(patch).length) throw new Error("Nothing to update");
+    return patch;
+}
+
+// Merges the patch into the game's override; returns the stored override, or null once it is empty.
+export async function saveOverride(gameId, input) {
+    const patch = validateOverride(input);
+    const ref = db().collection(COLLECTION).doc(String(gameId));
+
+    const update = { updatedAt: new Date().toISOString() };
+    for (const [k, v] of Object.entries(patch)) {
+        update[k] = v === null ? admin.firestore.FieldValue.delete() : v;
+    }
+    await ref.set(update, { merge: true });
+
+    const stored = (await ref.get()).data() || {};
+    invalidateOverrides();
+
+    if (!OVERRIDE_FIELDS.some((k) => stored[k] !== undefined)) {
+        await ref.delete();
+        return null;
+    }
+    return stored;
+}
+
+export async function deleteOverride(gameId) {
+    const ref = db().collection(COLLECTION).doc(String(gameId));
+    const snap = await ref.get();
+    if (!snap.exists) return false;
+
+    await ref.delete();
+    invalidateOverrides();
+    return true;
+}
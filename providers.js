@@ -0,0 +1,210 @@
+import admin from "firebase-admin";
+import { db } from "./firebase.js";
+
+// Canonical providers in `providers/{slug}`. Games reference them via `providerSlug`.
+const COLLECTION = "providers";
+
+// Trailing words that do not distinguish a studio: "Hacksaw Gaming" and "Hacksaw" are one provider.
+const NOISE_SUFFIXES = new Set([
+    "gaming", "games", "game", "studio", "studios", "entertainment",
+    "interactive", "ltd", "limited", "inc", "group", "slots",
+]);
+
+export function providerSlugOf(name) {
+    const tokens = String(name || "")
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/'/g, "")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()
+        .split(" ")
+        .filter(Boolean);
+
+    while (tokens.length > 1 && NOISE_SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+    return tokens.join("-");
+}
+
+/* -----------------------------
+   Alias map (alias slug -> canonical slug), cached
+------------------------------ */
+const ALIAS_CACHE_TTL_MS = 5 * 60 * 1000;
+let aliasCache = null; // { ts, map }
+
+export function invalidateProviderAliases() {
+    aliasCache = null;
+}
+
+async function loadAliasMap() {
+    if (aliasCache && Date.now() - aliasCache.ts < ALIAS_CACHE_TTL_MS) return aliasCache.map;
+
+    const firestore = db();
+    const snap = await firestore.collection(COLLECTION).select("aliases").get();
+    const map = new Map();
+
+    for (const d of snap.docs) map.set(d.id, d.id);
+
+    // An alias that slugs to some other provider's id is an explicit merge and wins over that doc.
+    for (const d of snap.docs) {
+        for (const alias of d.get("aliases") || []) {
+            const key = providerSlugOf(alias);
+            if (key && key !== d.id) map.set(key, d.id);
+        }
+    }
+
+    aliasCache = { ts: Date.now(), map };
+    return map;
+}
+
+// Canonical slug for a provider name or slug, with admin aliases applied (as on games).
+export async function resolveProviderSlug(name) {
+    const base = providerSlugOf(name);
+    if (!base) return "";
+    return (await loadAliasMap()).get(base) || base;
+}
+
+// Sets providerSlug on each game (in place) and makes sure every provider has a doc.
+// Existing names, logos and enabled flags are never overwritten: admins own those.
+export async function syncProvidersForGames(games) {
+    const firestore = db();
+    const map = await loadAliasMap();
+    const seen = new Map(); // slug -> { names:Set, logoUrl }
+
+    for (const g of games) {
+        const raw = String(g.provider || "").trim();
+        const base = providerSlugOf(raw);
+        if (!base) {
+            g.providerSlug = "";
+            continue;
+        }
+
+        const slug = map.get(base) || base;
+        g.providerSlug = slug;
+
+        const entry = seen.get(slug) || { names: new Set(), logoUrl: "" };
+        entry.names.add(raw);
+        if (!entry.logoUrl && g.providerLogo) entry.logoUrl = g.providerLogo;
+        seen.set(slug, entry);
+    }
+
+    if (!seen.size) return;
+
+    const refs = [...seen.keys()].map((slug) => firestore.collection(COLLECTION).doc(slug));
+    const snaps = await firestore.getAll(...refs);
+    const batch = firestore.batch();
+    const now = new Date().toISOString();
+    let created = false;
+
+    snaps.forEach((snap, idx) => {
+        const slug = refs[idx].id;
+        const entry = seen.get(slug);
+        const names = [...entry.names];
+        const cur = snap.exists ? snap.data() : null;
+
+        const doc = {
+            slug,
+            aliases: admin.firestore.FieldValue.arrayUnion(...names),
+            updatedAt: now,
+        };
+
+        if (!cur) {
+            created = true;
+            doc.name = names.sort((a, b) => b.length - a.length)[0];
+            doc.enabled = true;
+            doc.gameCount = 0;
+            doc.createdAt = now;
+        }
+        if (!cur?.logoUrl && entry.logoUrl) doc.logoUrl = entry.logoUrl;
+
+        batch.set(refs[idx], doc, { merge: true });
+    });
+
+    await batch.commit();
+    if (created) invalidateProviderAliases();
+}
+
+const COUNT_CONCURRENCY = 8;
+
+// Recounts enabled games per provider: one aggregation query per provider, COUNT_CONCURRENCY at a
+// time. Each query is billed (one read per started 1000 counted games), so call this after syncs, not per request.
+export async function refreshProviderCounts() {
+    const firestore = db();
+    const snap = await firestore.collection(COLLECTION).select().get();
+    const now = new Date().toISOString();
+    const counts = {};
+
+    const ids = snap.docs.map((d) => d.id);
+    let next = 0;
+    const worker = async () => {
+        while (next < ids.length) {
+            const slug = ids[next++];
+            const agg = await firestore
+                .collection("games")
+                .where("providerSlug", "==", slug)
+                .where("enabled", "==", true)
+                .count()
+                .get();
+            counts[slug] = agg.data().count;
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(COUNT_CONCURRENCY, ids.length) }, worker));
+
+    const slugs = Object.keys(counts);
+    for (let i = 0; i < slugs.length; i += 400) {
+        const batch = firestore.batch();
+        for (const slug of slugs.slice(i, i + 400)) {
+            batch.set(
+                firestore.collection(COLLECTION).doc(slug),
+                { gameCount: counts[slug], countedAt: now },
+                { merge: true }
+            );
+        }
+        await batch.commit();
+    }
+
+    return counts;
+}
+
+export async function listProviders({ includeDisabled = false } = {}) {
+    const firestore = db();
+    const snap = await firestore.collection(COLLECTION).get();
+
+    return snap.docs
+        .map((d) => d.data())
+        .filter((p) => includeDisabled || (p.enabled !== false && Number(p.gameCount) > 0))
+        .sort((a, b) => (Number(b.gameCount) || 0) - (Number(a.gameCount) || 0) || String(a.name).localeCompare(String(b.name)));
+}
+
+export async function getProvider(slug) {
+    const firestore = db();
+    const snap = await firestore.collection(COLLECTION).doc(String(slug)).get();
+    return snap.exists ? snap.data() : null;
+}
+
+// Admin edit. Only known fields are accepted; aliases replace the stored list.
+export async function updateProvider(slug, patch) {
+    const update = {};
+
+    if (patch.name !== undefined) {
+        const name = String(patch.name || "").trim();
+        if (!name) throw new Error("name cannot be empty");
+        update.name = name;
+    }
+    if (patch.logoUrl !== undefined) update.logoUrl = String(patch.logoUrl || "");
+    if (patch.enabled !== undefined) update.enabled = patch.enabled === true;
+    if (patch.aliases !== undefined) {
+        if (!Array.isArray(patch.aliases)) throw new Error("aliases must be an array");
+        update.aliases = patch.aliases.map((a) => String(a).trim()).filter(Boolean);
+    }
+
+    if (!Object.keys(update).length) throw new Error("Nothing to update");
+
+    const firestore = db();
+    const ref = firestore.collection(COLLECTION).doc(String(slug));
+    const snap = await ref.get();
+    if (!snap.exists) return null;
+
+    await ref.set({ ...update, updatedAt: new Date().toISOString() }, { merge: true });
+    invalidateProviderAliases();
+
+    return (await ref.get()).data();
+}
@@ -0,0 +1,393 @@
+import admin from "firebase-admin";
+import { db } from "./firebase.js";
+import { loadOverrides, applyOverride } from "./overrides.js";
+import { loadPopularity } from "./telemetry.js";
+
+// Search index: enabled games spread over a few shard docs `searchIndex/shard-{n}`,
+// each holding `entries: { [gameId]: { n: name, p: provider, pop } }`.
+// The whole index is small enough to load into memory and score there.
+const COLLECTION = "searchIndex";
+const SHARD_COUNT = 16;
+
+export function keyName(s) {
+    return String(s || "")
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()
+        .replace(/\s+/g, " ");
+}
+
+function tokensOf(s) {
+    return keyName(s).split(" ").filter(Boolean);
+}
+
+function shardIdFor(gameId) {
+    let h = 0;
+    for (const ch of String(gameId)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+    return `shard-${h % SHARD_COUNT}`;
+}
+
+function shardRef(firestore, shardId) {
+    return firestore.collection(COLLECTION).doc(shardId);
+}
+
+/* -----------------------------
+   Index maintenance (called from sync)
+------------------------------ */
+
+// Adds index writes for these games to an existing batch, so games and index commit together.
+// Enabled games are (re)indexed, anything else is removed from the index.
+export function addSearchIndexWrites(batch, games) {
+    const firestore = db();
+    const byShard = new Map(); // shardId -> entries patch
+
+    for (const g of games) {
+        const id = String(g.id);
+        const shardId = shardIdFor(id);
+        const patch = byShard.get(shardId) || {};
+
+        // Game docs carry no popularity; leaving `pop` out keeps the value merged in by the rebuild.
+        patch[id] = g.enabled === true
+            ? { n: String(g.name || ""), p: String(g.provider || "") }
+            : admin.firestore.FieldValue.delete();
+
+        byShard.set(shardId, patch);
+    }
+
+    for (const [shardId, entries] of byShard) {
+        batch.set(shardRef(firestore, shardId), { entries, updatedAt: new Date().toISOString() }, { merge: true });
+    }
+}
+
+export function addSearchIndexRemovals(batch, ids) {
+    addSearchIndexWrites(batch, ids.map((id) => ({ id, enabled: false })));
+}
+
+// Merges fresh `pop` values into existing entries. Only pass served games: an id missing from
+// the index would get an entry without a name.
+export async function updateSearchPopularity(games) {
+    const firestore = db();
+    const byShard = new Map();
+
+    for (const g of games) {
+        const id = String(g.id);
+        const shardId = shardIdFor(id);
+        const patch = byShard.get(shardId) || {};
+        patch[id] = { pop: Number(g.popularity) || 0 };
+        byShard.set(shardId, patch);
+    }
+
+    const batch = firestore.batch();
+    for (const [shardId, entries] of byShard) {
+        batch.set(shardRef(firestore, shardId), { entries, updatedAt: new Date().toISOString() }, { merge: true });
+    }
+    await batch.commit();
+    invalidateSearchIndex();
+}
+
+// Rewrites every shard from the games collection (after resets or manual edits), overrides applied.
+export async function rebuildSearchIndex() {
+    const firestore = db();
+    const snap = await firestore
+        .collection("games")
+        .where("enabled", "==", true)
+        .select("name", "provider")
+        .get();
+    const popularity = await loadPopularity();
+
+    const shards = new Map();
+    for (let i = 0; i < SHARD_COUNT; i += 1) shards.set(`shard-${i}`, {});
+
+    const overrides = await loadOverrides();
+    let indexed = 0;
+
+    for (const d of snap.docs) {
+        const g = applyOverride({ ...d.data(), id: d.id, enabled: true }, overrides.get(d.id));
+        if (g.enabled !== true) continue;
+
+        shards.get(shardIdFor(d.id))[d.id] = {
+            n: String(g.name || ""),
+            p: String(g.provider || ""),
+            pop: popularity.get(d.id) || 0,
+        };
+        indexed += 1;
+    }
+
+    const batch = firestore.batch();
+    for (const [shardId, entries] of shards) {
+        batch.set(shardRef(firestore, shardId), { entries, updatedAt: new Date().toISOString() });
+    }
+    await batch.commit();
+
+    invalidateSearchIndex();
+    return { indexed, shards: SHARD_COUNT };
+}
+
+/* -----------------------------
+   In-memory copy for querying
+------------------------------ */
+const INDEX_CACHE_TTL_MS = 10 * 60 * 1000;
+let indexCache = null; // { ts, entries: [{ id, name, provider, nameTokens, providerTokens, pop }] }
+let indexInFlight = null;
+
+export function invalidateSearchIndex() {
+    indexCache = null;
+}
+
+async function loadIndex() {
+    if (indexCache && Date.now() - indexCache.ts < INDEX_CACHE_TTL_MS) return indexCache.entries;
+
+    if (!indexInFlight) {
+        indexInFlight = (async () => {
+            const firestore = db();
+            const snap = await firestore.collection(COLLECTION).get();
+            const entries = [];
+
+            for (const d of snap.docs) {
+                for (const [id, e] of Object.entries(d.data()?.entries || {})) {
+                    if (e?.n === undefined) continue; // a popularity update that raced a removal
+                    entries.push({
+                        id,
+                        name: e.n || "",
+                        provider: e.p || "",
+                        nameTokens: tokensOf(e.n),
+                        providerTokens: tokensOf(e.p),
+                        pop: Number(e.pop) || 0,
+                    });
+                }
+            }
+
+            indexCache = { ts: Date.now(), entries };
+            return entries;
+        })().finally(() => {
+            indexInFlight = null;
+        });
+    }
+
+    try {
+        return await indexInFlight;
+    } catch (e) {
+        // Serve a stale index rather than nothing.
+        if (indexCache?.entries) return indexCache.entries;
+        throw e;
+    }
+}
+
+/* -----------------------------
+   Scoring
+------------------------------ */
+
+// Optimal string alignment distance, gives up once it exceeds max.
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i += 1) {
+        const cur = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                v = Math.min(v, prev2[j - 2] + 1);
+            }
+            cur.push(v);
+            if (v < rowMin) rowMin = v;
+        }
+
+        if (rowMin > max) return max + 1;
+        prev2 = prev;
+        prev = cur;
+    }
+
+    return prev[b.length];
+}
+
+function allowedTypos(len) {
+    if (len >= 7) return 2;
+    if (len >= 3) return 1;
+    return 0;
+}
+
+// 1 exact, 0.8 prefix, 0.4-0.6 typo; 0 when the token does not match.
+// The last query token is the one being typed, so it may be a prefix of any length.
+function scoreToken(q, t, isLast) {
+    if (q === t) return 1;
+    if ((isLast || q.length >= 2) && t.startsWith(q)) return 0.8;
+
+    const typos = allowedTypos(q.length);
+    if (!typos) return 0;
+
+    const d = editDistance(q, t, typos);
+    if (d <= typos) return 0.6 - 0.1 * (d - 1);
+
+    // Typo inside a prefix: "bonan" -> "bonanza" via "bonaz"
+    if (t.length > q.length) {
+        const dp = editDistance(q, t.slice(0, q.length), 1);
+        if (dp <= 1) return 0.4;
+    }
+
+    return 0;
+}
+
+function bestMatch(q, tokens, isLast) {
+    let best = 0;
+    let index = -1;
+    tokens.forEach((t, i) => {
+        const s = scoreToken(q, t, isLast);
+        if (s > best) {
+            best = s;
+            index = i;
+        }
+    });
+    return { score: best, index };
+}
+
+function scoreEntry(queryTokens, queryKey, e) {
+    let total = 0;
+    const nameHits = new Set();
+    const providerHits = new Set();
+
+    for (let i = 0; i < queryTokens.length; i += 1) {
+        const q = queryTokens[i];
+        const isLast = i === queryTokens.length - 1;
+        const inName = bestMatch(q, e.nameTokens, isLast);
+        const inProvider = bestMatch(q, e.providerTokens, isLast);
+
+        // Provider matches count a bit less than name matches.
+        if (inName.score >= inProvider.score * 0.7 && inName.score > 0) {
+            total += inName.score;
+            nameHits.add(inName.index);
+        } else if (inProvider.score > 0) {
+            total += inProvider.score * 0.7;
+            providerHits.add(inProvider.index);
+        } else {
+            return null; // every query token must match something
+        }
+    }
+
+    let score = total / queryTokens.length;
+
+    const nameKey = e.nameTokens.join(" ");
+    if (nameKey === queryKey) score += 0.5;
+    else if (nameKey.startsWith(queryKey)) score += 0.3;
+
+    // Popularity only breaks ties between similar matches.
+    score += Math.min(0.2, Math.log1p(e.pop) * 0.02);
+
+    return { score, nameHits, providerHits };
+}
+
+// [[start, end], ...] ranges of the hit tokens inside the original display string.
+function highlightRanges(text, hitIndexes) {
+    if (!hitIndexes.size) return [];
+    const ranges = [];
+    const re = /[a-z0-9]+|&/gi; // "&" is its own token, as keyName() turns it into "and"
+    let m;
+    let i = 0;
+    while ((m = re.exec(String(text || ""))) !== null) {
+        if (hitIndexes.has(i)) ranges.push([m.index, m.index + m[0].length]);
+        i += 1;
+    }
+    return ranges;
+}
+
+export async function searchGames(q, { limit = 20 } = {}) {
+    const queryKey = keyName(q);
+    const queryTokens = queryKey.split(" ").filter(Boolean);
+    if (!queryTokens.length) return [];
+
+    const entries = await loadIndex();
+    const results = [];
+
+    for (const e of entries) {
+        const r = scoreEntry(queryTokens, queryKey, e);
+        if (!r) continue;
+        results.push({ e, ...r });
+    }
+
+    results.sort((a, b) => b.score - a.score || b.e.pop - a.e.pop || a.e.name.localeCompare(b.e.name));
+
+    return results.slice(0, limit).map((r) => ({
+        id: r.e.id,
+        score: Math.round(r.score * 1000) / 1000,
+        providerMatched: r.providerHits.size > 0,
+        highlight: {
+            name: highlightRanges(r.e.name, r.nameHits),
+            provider: highlightRanges(r.e.provider, r.providerHits),
+        },
+    }));
+}
+
+/* -----------------------------
+   Name resolution (admin pulls)
+------------------------------ */
+const AUTO_ACCEPT_SCORE = 0.9;
+const AUTO_ACCEPT_MARGIN = 0.1;
+
+function providerAgrees(wantKey, e) {
+    if (!wantKey) return true;
+    const key = e.providerTokens.join(" ");
+    return key === wantKey || key.includes(wantKey) || wantKey.includes(key);
+}
+
+// 0..1 confidence that entry e is the game called queryKey. Exact names score 1; otherwise
+// every query token must hit a name token, and unmatched name tokens ("2" in "Chicken Road 2") cost.
+function nameConfidence(queryTokens, queryKey, providerKey, e) {
+    let score;
+    if (e.nameTokens.join(" ") === queryKey) {
+        score = 1;
+    } else {
+        let total = 0;
+        const hits = new Set();
+        for (let i = 0; i < queryTokens.length; i += 1) {
+            const m = bestMatch(queryTokens[i], e.nameTokens, false);
+            if (!m.score) return 0;
+            total += m.score;
+            hits.add(m.index);
+        }
+        const coverage = hits.size / e.nameTokens.length;
+        score = Math.min(0.95, (total / queryTokens.length) * (0.5 + 0.5 * coverage));
+    }
+
+    // A different provider keeps the game as a candidate but never auto-accepts it.
+    return providerAgrees(providerKey, e) ? score : score * 0.5;
+}
+
+// Resolves [{ name, provider? }] against the index. Each result lists the top candidates with scores;
+// `match` is set only when the best one is confident and clearly ahead of the runner-up.
+export async function matchGameNames(requested, { candidates = 3 } = {}) {
+    const entries = await loadIndex();
+
+    return requested.map((r) => {
+        const queryKey = keyName(r.name);
+        const queryTokens = queryKey.split(" ").filter(Boolean);
+        const providerKey = keyName(r.provider);
+        if (!queryTokens.length) return { requested: r, match: null, candidates: [] };
+
+        const scored = [];
+        for (const e of entries) {
+            const score = nameConfidence(queryTokens, queryKey, providerKey, e);
+            if (score > 0) scored.push({ e, score });
+        }
+        scored.sort((a, b) => b.score - a.score || b.e.pop - a.e.pop);
+
+        const top = scored.slice(0, candidates).map(({ e, score }) => ({
+            id: e.id,
+            name: e.name,
+            provider: e.provider,
+            score: Math.round(score * 1000) / 1000,
+        }));
+
+        const [best, next] = scored;
+        const confident = best
+            && best.score >= AUTO_ACCEPT_SCORE
+            && (!next || best.score - next.score >= AUTO_ACCEPT_MARGIN);
+
+        return { requested: r, match: confident ? top[0] : null, candidates: top };
+    });
+}
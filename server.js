@@ -1,17 +1,94 @@
 import "dotenv/config";
+import crypto from "node:crypto";
 import express from "express";
+import admin from "firebase-admin";
 import cors from "cors";
 import fetch from "node-fetch";
 import { db } from "./firebase.js";
-import { runSync, seedNewestPublishedGames, normalizeGame, upsertGames } from "./sync.js";
+import { runSync, loadEnabledGames, seedNewestPublishedGames, normalizeGame, upsertGames, rebuildCategories } from "./sync.js";
 import { deleteCollection } from "./admin.js";
-import { fetchGamesPage } from "./slotslaunch.js";
+import { listSyncRuns, getSyncRun } from "./syncRuns.js";
+import { evaluateCategory } from "./categoryEngine.js";
+import {
+    listCampaigns,
+    pickActiveCampaign,
+    campaignStatus,
+    campaignCategoryId,
+    campaignToRule,
+    saveCampaign,
+    deleteCampaign,
+    invalidateCampaigns,
+} from "./campaigns.js";
+import {
+    listCollections,
+    getCollection,
+    collectionToRule,
+    saveCollection,
+    setCollectionIds,
+    reorderIds,
+    removeCollection,
+    invalidateCollections,
+} from "./collections.js";
+import { CATEGORY_DEFS } from "./categories.js";
+import {
+    getHomeLayout,
+    resolveHomeSections,
+    validateHomeLayout,
+    saveHomeLayout,
+    resetHomeLayout,
+    invalidateHomeLayout,
+} from "./homeLayout.js";
+import { listCategoryRuns, rollbackCategory, unfreezeCategory, pinnedRunOf, deleteCategory } from "./categoryRuns.js";
+import { withLock, getLock, INSTANCE_ID } from "./lock.js";
+import {
+    loadOverrides,
+    applyOverride,
+    applyOverrides,
+    getOverride,
+    saveOverride,
+    deleteOverride,
+    invalidateOverrides,
+} from "./overrides.js";
+import { createSnapshot, listSnapshots, getSnapshot, openSnapshotStream, restoreSnapshot } from "./snapshots.js";
+import { registerJobHandler, enqueueJob, getJob, listJobs, cancelJob, startJobRunner } from "./jobs.js";
+import {
+    keyName,
+    searchGames,
+    matchGameNames,
+    addSearchIndexWrites,
+    rebuildSearchIndex,
+    invalidateSearchIndex,
+} from "./search.js";
+import {
+    listProviders,
+    getProvider,
+    resolveProviderSlug,
+    updateProvider,
+    syncProvidersForGames,
+    refreshProviderCounts,
+    invalidateProviderAliases,
+} from "./providers.js";
+import { fetchGamesPage, buildEmbedUrl, stripToken, createFetchStats, summarizeFetchStats } from "./slotslaunch.js";
 import { initTelegramBot } from "./telegramBot.js";
+import { telegramAuth, userRef } from "./telegramAuth.js";
+import { recordPlay, recordImpressions, getGameStats, getStatsSummary, startTelemetryFlusher, loadPopularity } from "./telemetry.js";
+import { rankSimilar } from "./similar.js";
+import {
+    addFavorite,
+    removeFavorite,
+    listFavoriteIds,
+    recordRecent,
+    listRecent,
+    startRecentFlusher,
+    MAX_FAVORITES,
+} from "./userLists.js";
 
 
 const app = express();
 
-app.set("trust proxy", true);
+// Reverse proxies in front of the app. req.ip is the address the outermost one of them saw, so
+// clients cannot choose it through X-Forwarded-For; use it for anything counted or limited per IP.
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
 
 app.use(cors());
 app.use(express.json());
@@ -83,8 +160,38 @@ let homeCache = null; // { ts, data }
 let homeInFlight = null; // Promise resolving to result array
 let homeCircuitUntil = 0; // if quota errors happen, skip Firestore until this time
 
+// Enabled-games snapshot behind GET /api/games; shares TTL and circuit breaker with home.
+let catalogCache = null; // { ts, docs }
+let catalogInFlight = null; // Promise resolving to docs array
+const categoryIdsCache = new Map(); // categoryId -> { ts, ids }
+const categoryPageCache = new Map(); // `${id}|${afterRank}|${limit}` -> { ts, data }
+
+const SEARCH_CACHE_MAX = 500;
+const searchCache = new Map(); // query key -> { ts, data }
+
+function clearHomeCaches() {
+    homeCache = null;
+    catalogCache = null;
+    categoryIdsCache.clear();
+    categoryPageCache.clear();
+    searchCache.clear();
+    similarCache.clear();
+    invalidateSearchIndex();
+}
+
 const GAME_CACHE_TTL_MS = 10 * 60 * 1000; // 10 min
 const gameCache = new Map(); // id -> { ts, data }
+// Entries are only valid for the catalog list they were ranked from (see loadCatalog()).
+const similarCache = new Map(); // id -> { ts, docs, games }
+
+const PROVIDERS_CACHE_TTL_MS = 10 * 60 * 1000; // 10 min
+let providersCache = null; // { ts, data }
+const providerGamesCache = new Map(); // slug -> { ts, provider, docs }
+
+function clearProviderCaches() {
+    providersCache = null;
+    providerGamesCache.clear();
+}
 
 function isQuotaError(e) {
     const msg = String(e?.message || e || "");
@@ -104,97 +211,52 @@ function safeTs(v) {
     return Number.isFinite(t) ? t : 0;
 }
 
-function toClientGame(g) {
-    return {
-        id: g.id,
-        name: g.name,
-        provider: g.provider,
-        thumb: g.thumb,
-        demoUrl: g.embedUrl,
-        rtp: g.rtp ?? null,
-    };
-}
+// Absolute when PUBLIC_BASE_URL is set (frontend on another origin), else relative to this API.
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
 
-/* -----------------------------
-   Best-games pinning (NEW)
------------------------------- */
-const DEFAULT_BEST_GAME_NAMES = [
-    "Zeus vs Hades gods of war",
-    "wanted dead or a wild",
-    "Sweet bonanza 1000",
-    "Mental 2",
-    "Brute Force",
-];
-const DEFAULT_CASUAL_GAMES = [
-    { name: "Plinko", provider: "BGaming" },
-    { name: "Aviator", provider: "Spribe" },
-    { name: "Chicken Road", provider: "InOut" },
-    { name: "Chicken Road 2", provider: "InOut" },
-    { name: "Thimbles", provider: "Evoplay" },
-    { name: "Squid Gamebler", provider: "InOut" },
-    { name: "Balloon", provider: "SmartSoft Gaming" },
-    { name: "Mines", provider: "Hacksaw Gaming" },
-    { name: "Aviamasters", provider: "BGaming" },
-];
-
-function keyName(s) {
-    return String(s || "")
-        .toLowerCase()
-        .replace(/&/g, " and ")
-        .replace(/[^a-z0-9]+/g, " ")
-        .trim()
-        .replace(/\s+/g, " ");
-}
-
-async function getPinnedBestIds() {
-    const firestore = db();
-    const snap = await firestore.collection("meta").doc("curation").get();
-    if (!snap.exists) return [];
-    const ids = snap.data()?.bestPinnedIds;
-    return Array.isArray(ids) ? ids.map(String).filter(Boolean) : [];
-}
+// Play links are signed and expire, so a scraped link stops working and each launch has to come
+// through the API. Expiry is rounded up to the hour: cached payloads (home, categories, games)
+// keep handing out the same link, which stays valid for at least PLAY_LINK_TTL_SEC.
+const PLAY_LINK_TTL_SEC = Number(process.env.PLAY_LINK_TTL_SEC || 6 * 60 * 60);
+const PLAY_LINK_ROUND_SEC = 60 * 60;
 
-async function setPinnedBestIds(ids) {
-    const firestore = db();
-    await firestore.collection("meta").doc("curation").set(
-        {
-            bestPinnedIds: ids.map(String),
-            updatedAt: new Date().toISOString(),
-        },
-        { merge: true }
-    );
+function playLinkKey() {
+    const secret = process.env.PLAY_LINK_SECRET || process.env.SLOTSLAUNCH_TOKEN;
+    if (!secret) throw new Error("Missing env: PLAY_LINK_SECRET");
+    return crypto.createHmac("sha256", "play-link").update(secret).digest();
 }
 
-async function getPinnedCasualIds() {
-    const firestore = db();
-    const snap = await firestore.collection("meta").doc("curation").get();
-    if (!snap.exists) return [];
-    const ids = snap.data()?.casualPinnedIds;
-    return Array.isArray(ids) ? ids.map(String).filter(Boolean) : [];
+function signPlayLink(id, exp) {
+    return crypto.createHmac("sha256", playLinkKey()).update(`${id}.${exp}`).digest("base64url");
 }
 
-async function setPinnedCasualIds(ids) {
-    const firestore = db();
-    await firestore.collection("meta").doc("curation").set(
-        {
-            casualPinnedIds: ids.map(String),
-            updatedAt: new Date().toISOString(),
-        },
-        { merge: true }
-    );
-}
+function verifyPlayLink(id, exp, sig) {
+    const expSec = Number(exp);
+    if (!Number.isInteger(expSec) || expSec * 1000 < Date.now()) return false;
 
-function mergePinnedFirst(pinnedDocs, poolDocs, limit) {
-    const pinnedIds = new Set(pinnedDocs.map((g) => String(g.id)));
-    const merged = [...pinnedDocs];
+    const expected = Buffer.from(signPlayLink(id, expSec));
+    const given = Buffer.from(String(sig || ""));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
 
-    for (const g of poolDocs) {
-        if (merged.length >= limit) break;
-        if (pinnedIds.has(String(g.id))) continue;
-        merged.push(g);
-    }
+function playUrl(id) {
+    const nowSec = Math.floor(Date.now() / 1000);
+    const exp = Math.ceil((nowSec + PLAY_LINK_TTL_SEC) / PLAY_LINK_ROUND_SEC) * PLAY_LINK_ROUND_SEC;
+    const sig = signPlayLink(String(id), exp);
+    return `${PUBLIC_BASE_URL}/play/${encodeURIComponent(String(id))}?exp=${exp}&sig=${sig}`;
+}
 
-    return merged.slice(0, limit);
+function toClientGame(g) {
+    return {
+        id: g.id,
+        name: g.name,
+        provider: g.provider,
+        providerSlug: g.providerSlug || "",
+        thumb: g.thumb,
+        // Tokenized only at request time, by GET /play/:id; games without a launch URL have no demo.
+        demoUrl: g.apiUrl || g.embedUrl ? playUrl(g.id) : null,
+        rtp: g.rtp ?? null,
+    };
 }
 
 /* -----------------------------
@@ -210,6 +272,64 @@ app.get("/health", (req, res) => {
     res.json({ ok: true });
 });
 
+/* -----------------------------
+   ME: the Telegram Web App user (initData auth)
+------------------------------ */
+app.get("/api/me", telegramAuth(), (req, res) => {
+    res.json({ user: req.tgUser });
+});
+
+// Favorites, newest first. Games that were since hidden or retired are skipped.
+app.get("/api/me/favorites", telegramAuth(), async (req, res) => {
+    try {
+        const games = await hydrateGames(await listFavoriteIds(userRef(req)));
+        res.json({ games: games.map(toClientGame) });
+    } catch (e) {
+        res.status(isQuotaError(e) ? 503 : 500).json({ error: String(e.message || e) });
+    }
+});
+
+app.post("/api/me/favorites/:gameId", telegramAuth(), async (req, res) => {
+    const gameId = String(req.params.gameId);
+
+    try {
+        const [g] = await hydrateGames([gameId]);
+        if (!g) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        if (!(await addFavorite(userRef(req), gameId))) {
+            res.status(409).json({ error: `At most ${MAX_FAVORITES} favorites` });
+            return;
+        }
+        res.json({ ok: true, game: toClientGame(g) });
+    } catch (e) {
+        res.status(isQuotaError(e) ? 503 : 500).json({ error: String(e.message || e) });
+    }
+});
+
+app.delete("/api/me/favorites/:gameId", telegramAuth(), async (req, res) => {
+    try {
+        const removed = await removeFavorite(userRef(req), String(req.params.gameId));
+        res.json({ ok: true, removed });
+    } catch (e) {
+        res.status(isQuotaError(e) ? 503 : 500).json({ error: String(e.message || e) });
+    }
+});
+
+// Recently opened games, newest first; maintained by GET /api/games/:id and POST /api/games/:id/play.
+app.get("/api/me/recent", telegramAuth(), async (req, res) => {
+    try {
+        const recent = await listRecent(userRef(req));
+        const lastOpened = new Map(recent.map((r) => [String(r.gameId), r.at]));
+        const games = await hydrateGames(recent.map((r) => r.gameId));
+        res.json({ games: games.map((g) => ({ ...toClientGame(g), lastOpenedAt: lastOpened.get(String(g.id)) || null })) });
+    } catch (e) {
+        res.status(isQuotaError(e) ? 503 : 500).json({ error: String(e.message || e) });
+    }
+});
+
 /* -----------------------------
    GEO by IP (unchanged)
 ------------------------------ */
@@ -279,7 +399,148 @@ app.get("/api/geo", async (req, res) => {
 });
 
 /* -----------------------------
-   HOME: single Firestore read + cache + stale fallback
+   CATEGORIES: ranked runs written by rebuildCategoriesIndex()
+------------------------------ */
+const CATEGORY_PAGE_MAX = 100;
+
+// Hydrates ids in order with overrides applied, dropping missing, disabled and hidden games.
+async function hydrateGames(ids) {
+    if (!ids.length) return [];
+    const firestore = db();
+    const [snaps, overrides] = await Promise.all([
+        firestore.getAll(...ids.map((id) => firestore.collection("games").doc(String(id)))),
+        loadOverrides(),
+    ]);
+    return applyOverrides(snaps.filter((s) => s.exists).map((s) => s.data()), overrides)
+        .filter((g) => g?.enabled === true);
+}
+
+// One page of a category's active run. Cursor is the last rank served.
+async function loadCategoryPage(categoryId, { limit = 50, afterRank = 0 } = {}) {
+    const cacheKey = `${categoryId}|${afterRank}|${limit}`;
+    const cached = categoryPageCache.get(cacheKey);
+    if (cached && Date.now() - cached.ts < HOME_CACHE_TTL_MS) return cached.data;
+
+    const firestore = db();
+    const catSnap = await firestore.collection("categories").doc(categoryId).get();
+    if (!catSnap.exists) return null;
+
+    const category = catSnap.data();
+    let items = [];
+
+    if (category.activeRunId) {
+        const itemsSnap = await firestore
+            .collection("categories")
+            .doc(categoryId)
+            .collection("runs")
+            .doc(String(category.activeRunId))
+            .collection("items")
+            .orderBy("rank")
+            .startAfter(afterRank)
+            .limit(limit)
+            .get();
+        items = itemsSnap.docs.map((d) => d.data());
+    }
+
+    const games = await hydrateGames(items.map((it) => String(it.gameId)));
+    const lastRank = items.length ? items[items.length - 1].rank : null;
+
+    const data = {
+        id: categoryId,
+        title: category.title,
+        icon: category.icon,
+        runId: category.activeRunId || null,
+        games,
+        nextCursor: items.length === limit && lastRank < (category.itemCount ?? Infinity) ? String(lastRank) : null,
+    };
+
+    categoryPageCache.set(cacheKey, { ts: Date.now(), data });
+    return data;
+}
+
+// A category as shown to clients, titled by its layout-resolved def. For the campaign slot this is
+// the active campaign's run (under the slot's public id), falling back to the rule's own run when
+// none is active or built yet.
+async function loadSlotPage(def, opts) {
+    if (def.campaignSlot) {
+        const active = pickActiveCampaign(await listCampaigns());
+        if (active) {
+            const page = await loadCategoryPage(campaignCategoryId(active.id), opts);
+            if (page?.runId) {
+                return { ...page, id: def.id, title: active.title, icon: active.icon, campaignId: active.id };
+            }
+        }
+    }
+    const page = await loadCategoryPage(def.id, opts);
+    return page && { ...page, title: def.title, icon: def.icon };
+}
+
+// Category rules and collections with the home layout applied, in home order (hidden ones included).
+async function listServedCategories() {
+    const [collections, layout] = await Promise.all([listCollections(), getHomeLayout()]);
+    return resolveHomeSections([...CATEGORY_DEFS, ...collections.map(collectionToRule)], layout);
+}
+
+app.get("/api/categories", async (req, res) => {
+    try {
+        const firestore = db();
+        const sections = (await listServedCategories()).filter((c) => c.visible);
+        // getAll() throws without refs, e.g. when every home section is hidden.
+        if (!sections.length) {
+            res.json({ categories: [] });
+            return;
+        }
+
+        const snaps = await firestore.getAll(
+            ...sections.map((c) => firestore.collection("categories").doc(c.id))
+        );
+
+        const categories = sections.map((c, idx) => {
+            const d = snaps[idx].exists ? snaps[idx].data() : {};
+            return {
+                id: c.id,
+                title: c.title,
+                icon: c.icon,
+                itemCount: Number(d.itemCount) || 0,
+                updatedAt: d.updatedAt || null,
+            };
+        });
+
+        res.json({ categories });
+    } catch (e) {
+        res.status(isQuotaError(e) ? 503 : 500).json({ error: String(e.message || e) });
+    }
+});
+
+app.get("/api/categories/:id", async (req, res) => {
+    const id = String(req.params.id);
+    const limit = Math.min(Math.max(Number(req.query.limit ?? 30) || 30, 1), CATEGORY_PAGE_MAX);
+    const afterRank = Math.max(Number(req.query.cursor ?? 0) || 0, 0);
+
+    if (Date.now() < homeCircuitUntil) {
+        const cached = categoryPageCache.get(`${id}|${afterRank}|${limit}`);
+        if (cached?.data) res.json({ ...cached.data, games: cached.data.games.map(toClientGame) });
+        else res.status(503).json({ error: "Temporarily unavailable" });
+        return;
+    }
+
+    try {
+        // Hidden sections stay reachable by id.
+        const def = (await listServedCategories()).find((c) => c.id === id);
+        const page = def ? await loadSlotPage(def, { limit, afterRank }) : null;
+        if (!page) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+        res.json({ ...page, games: page.games.map(toClientGame) });
+    } catch (e) {
+        if (isQuotaError(e)) homeCircuitUntil = Date.now() + 60 * 1000;
+        res.status(503).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   HOME: sections from meta/homeLayout, read from precomputed runs + cache + stale fallback
 ------------------------------ */
 app.get("/api/home", async (req, res) => {
     try {
@@ -296,93 +557,18 @@ app.get("/api/home", async (req, res) => {
 
         if (!homeInFlight) {
             homeInFlight = (async () => {
-                const firestore = db();
-
-                const [snap, exclusiveSnap, rtpSnap] = await Promise.all([
-                    firestore
-                        .collection("games")
-                        .where("enabled", "==", true)
-                        .limit(220)
-                        .get(),
-                    firestore
-                        .collection("games")
-                        .where("enabled", "==", true)
-                        .limit(5000)
-                        .get(),
-                    firestore
-                        .collection("games")
-                        .where("enabled", "==", true)
-                        .limit(5000)
-                        .get(),
-                ]);
-
-                const docs = snap.docs.map((d) => d.data());
-                const exclusivePool = exclusiveSnap.docs.map((d) => d.data());
-                const rtpPool = rtpSnap.docs.map((d) => d.data());
-
-                const byUpdated = [...docs].sort(
-                    (a, b) => safeTs(b.updatedAtTs ?? b.updatedAt) - safeTs(a.updatedAtTs ?? a.updatedAt)
-                );
-                const byCreated = [...docs].sort(
-                    (a, b) => safeTs(b.createdAtTs ?? b.createdAt) - safeTs(a.createdAtTs ?? a.createdAt)
-                );
-
-                const valentineRegex = /\b(valentine'?s?|romance|romantic|cupid|heart|hearts|kiss|lover|lovers|love|lovely|amour)\b/i;
-                const excludedRegex = /\b(leprechaun|clover|st\.?\s*patrick|shamrock|irish)\b/i;
-
-                const exclusive = exclusivePool.filter((g) => {
-                    const name = String(g.name || "");
-                    return valentineRegex.test(name) && !excludedRegex.test(name);
-                }).sort(
-                    (a, b) => safeTs(b.updatedAtTs ?? b.updatedAt) - safeTs(a.updatedAtTs ?? a.updatedAt)
+                // Visible sections in meta/homeLayout order, each with its own item limit.
+                const sections = (await listServedCategories()).filter((c) => c.visible);
+                const pages = await Promise.all(
+                    sections.map((c) => loadSlotPage(c, { limit: c.homeLimit }))
                 );
 
-                // NEW: pinned best games first
-                const pinnedIds = await getPinnedBestIds();
-                let pinnedDocs = [];
-                if (pinnedIds.length) {
-                    const refs = pinnedIds.map((id) => firestore.collection("games").doc(String(id)));
-                    const snaps = await firestore.getAll(...refs);
-                    pinnedDocs = snaps
-                        .filter((s) => s.exists)
-                        .map((s) => s.data())
-                        .filter((g) => g?.enabled === true)
-                        .sort((a, b) => pinnedIds.indexOf(String(a.id)) - pinnedIds.indexOf(String(b.id)));
-                }
-
-                const casualPinnedIds = await getPinnedCasualIds();
-                let casualPinnedDocs = [];
-                if (casualPinnedIds.length) {
-                    const refs = casualPinnedIds.map((id) => firestore.collection("games").doc(String(id)));
-                    const snaps = await firestore.getAll(...refs);
-                    casualPinnedDocs = snaps
-                        .filter((s) => s.exists)
-                        .map((s) => s.data())
-                        .filter((g) => g?.enabled === true)
-                        .sort((a, b) => casualPinnedIds.indexOf(String(a.id)) - casualPinnedIds.indexOf(String(b.id)));
-                }
-
-                const bestMerged = mergePinnedFirst(pinnedDocs, byUpdated, 50).map(toClientGame);
-                const casualGames = casualPinnedDocs.map(toClientGame);
-
-                const newGames = byCreated.slice(0, 50).map(toClientGame);
-
-                const rtp97Games = rtpPool
-                    .filter((g) => Number.isFinite(g.rtp) && g.rtp >= 96)
-                    .sort((a, b) => (b.rtp ?? 0) - (a.rtp ?? 0))
-                    .slice(0, 50)
-                    .map(toClientGame);
-
-
-                const exclusiveGames = exclusive.map(toClientGame);
-
-                return [
-                    { id: "exclusive", title: "Exclusive games", icon: "🎁", games: exclusiveGames },
-                    { id: "best", title: "Best games", icon: "⭐", games: bestMerged },
-                    { id: "casual", title: "Casual games", icon: "🎮", games: casualGames },
-                    { id: "new", title: "New games", icon: "🆕", games: newGames },
-                    { id: "rtp97", title: "RTP 96%", icon: "🎯", games: rtp97Games },
-                ];
+                return sections.map((c, idx) => ({
+                    id: c.id,
+                    title: pages[idx]?.title || c.title,
+                    icon: pages[idx]?.icon || c.icon,
+                    games: (pages[idx]?.games || []).map(toClientGame),
+                }));
             })()
                 .then((data) => {
                     homeCache = { ts: Date.now(), data };
@@ -409,467 +595,2096 @@ app.get("/api/home", async (req, res) => {
 });
 
 /* -----------------------------
-   GAME: cache per id + stale fallback on quota
+   GAMES: filterable, sortable listing with keyset cursor
 ------------------------------ */
-app.get("/api/games/:id", async (req, res) => {
-    const id = String(req.params.id);
+const GAME_SORTS = {
+    newest: { value: (g) => safeTs(g.createdAtTs ?? g.createdAt), dir: -1 },
+    updated: { value: (g) => safeTs(g.updatedAtTs ?? g.updatedAt), dir: -1 },
+    rtp: { value: (g) => (Number.isFinite(g.rtp) ? g.rtp : -1), dir: -1 },
+    name: { value: (g) => String(g.name || "").toLowerCase(), dir: 1 },
+};
+
+async function loadCatalog() {
+    if (catalogCache && Date.now() - catalogCache.ts < HOME_CACHE_TTL_MS) return catalogCache.docs;
+
+    if (Date.now() < homeCircuitUntil) {
+        if (catalogCache?.docs) return catalogCache.docs;
+        throw new Error("Temporarily unavailable");
+    }
 
-    const cached = gameCache.get(id);
-    if (cached && Date.now() - cached.ts < GAME_CACHE_TTL_MS) {
-        res.json(cached.data);
-        return;
+    if (!catalogInFlight) {
+        catalogInFlight = (async () => {
+            const [games, overrides] = await Promise.all([
+                loadEnabledGames(),
+                loadOverrides(),
+            ]);
+            return applyOverrides(games, overrides).filter((g) => g.enabled === true);
+        })()
+            .then((docs) => {
+                catalogCache = { ts: Date.now(), docs };
+                return docs;
+            })
+            .catch((e) => {
+                if (isQuotaError(e)) homeCircuitUntil = Date.now() + 60 * 1000;
+                throw e;
+            })
+            .finally(() => {
+                catalogInFlight = null;
+            });
     }
 
     try {
-        const firestore = db();
-        let snap = await firestore.collection("games").doc(id).get();
+        return await withTimeout(catalogInFlight, 2500);
+    } catch (e) {
+        if (isQuotaError(e) && catalogCache?.docs) return catalogCache.docs;
+        throw e;
+    }
+}
 
-        // Fallback: if game doc is missing locally, try pulling exact id from SlotsLaunch
-        // and cache it in Firestore to avoid repeated misses.
-        if (!snap.exists) {
-            try {
-                const fetched = await fetchGamesPage({ ids: [id], perPage: 1 });
-                const rawGames = Array.isArray(fetched) ? fetched : (fetched.data || fetched.games || []);
-                if (rawGames.length) {
-                    const normalized = normalizeGame(rawGames[0]);
-                    if (normalized.published === true) {
-                        await upsertGames([normalized]);
-                        snap = await firestore.collection("games").doc(id).get();
-                    }
-                }
-            } catch {
-                // keep original behavior below if upstream fetch fails
-            }
-        }
+// The catalog keyed by id, rebuilt whenever loadCatalog() hands out a new list.
+let catalogIndex = null; // { docs, byId }
 
-        if (!snap.exists) {
-            res.status(404).json({ error: "Not found" });
-            return;
-        }
+async function loadCatalogById() {
+    const docs = await loadCatalog();
+    if (catalogIndex?.docs !== docs) catalogIndex = { docs, byId: new Map(docs.map((g) => [String(g.id), g])) };
+    return catalogIndex.byId;
+}
 
-        const g = snap.data();
-        const payload = toClientGame(g);
+// Game ids of a category's active run, in rank order.
+async function loadCategoryGameIds(categoryId) {
+    const cached = categoryIdsCache.get(categoryId);
+    if (cached && Date.now() - cached.ts < HOME_CACHE_TTL_MS) return cached.ids;
 
-        gameCache.set(id, { ts: Date.now(), data: payload });
-        res.json(payload);
-    } catch (e) {
-        if (isQuotaError(e) && cached?.data) {
-            res.json(cached.data);
-            return;
-        }
-        res.status(500).json({ error: String(e.message || e) });
+    const firestore = db();
+    const catSnap = await firestore.collection("categories").doc(categoryId).get();
+    const runId = catSnap.exists ? catSnap.data()?.activeRunId : null;
+
+    let ids = [];
+    if (runId) {
+        const itemsSnap = await firestore
+            .collection("categories")
+            .doc(categoryId)
+            .collection("runs")
+            .doc(String(runId))
+            .collection("items")
+            .orderBy("rank")
+            .get();
+        ids = itemsSnap.docs.map((d) => String(d.data()?.gameId || d.id));
     }
-});
-
-/* -----------------------------
-   SYNC (unchanged)
------------------------------- */
-app.post("/api/sync", async (req, res) => {
-    try {
-        if (!requireSecret(req)) {
-            res.status(401).json({ error: "Unauthorized" });
-            return;
-        }
 
-        const info = await runSync();
-        homeCache = null;
+    categoryIdsCache.set(categoryId, { ts: Date.now(), ids });
+    return ids;
+}
 
-        res.json({ ok: true, info });
-    } catch (e) {
-        res.status(500).json({ error: String(e.message || e) });
-    }
-});
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
 
-/* -----------------------------
-   ADMIN: pull and pin best games from SlotsLaunch (NEW)
------------------------------- */
-app.post("/api/admin/best-games/pull", async (req, res) => {
+function decodeCursor(cursor) {
     try {
-        if (!requireSecret(req)) {
-            res.status(401).json({ error: "Unauthorized" });
-            return;
-        }
+        const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        return Array.isArray(key) && key.length === 2 ? key : null;
+    } catch {
+        return null;
+    }
+}
 
-        const names = Array.isArray(req.body?.names) && req.body.names.length
-            ? req.body.names
-            : DEFAULT_BEST_GAME_NAMES;
+function parseListQuery(q) {
+    const sort = String(q.sort || "newest");
+    if (!GAME_SORTS[sort]) throw new Error(`sort must be one of: ${Object.keys(GAME_SORTS).join(", ")}`);
 
-        // Scan deeper by default
-        const maxPages = Number(req.body?.maxPages ?? 400);
+    const num = (v, name) => {
+        if (v === undefined || v === "") return null;
+        const n = Number(v);
+        if (!Number.isFinite(n)) throw new Error(`${name} must be a number`);
+        return n;
+    };
 
-        // Even if SlotsLaunch caps per_page, keeping this high does not hurt.
-        const perPage = Number(req.body?.perPage ?? 150);
+    let createdAfterTs = null;
+    if (q.createdAfter) {
+        createdAfterTs = Date.parse(String(q.createdAfter));
+        if (!Number.isFinite(createdAfterTs)) throw new Error("createdAfter must be a date");
+    }
 
-        const wanted = names.map((n) => ({
-            raw: String(n),
-            key: keyName(n),
-        }));
+    let cursorKey = null;
+    if (q.cursor) {
+        cursorKey = decodeCursor(q.cursor);
+        if (!cursorKey) throw new Error("Invalid cursor");
+    }
 
-        // foundByKey: key -> normalized game doc
-        const foundByKey = new Map();
+    const list = (v) => String(v || "").split(",").map((x) => x.trim()).filter(Boolean);
 
-        let page = 1;
-        let lastMeta = null;
+    const category = q.category ? String(q.category) : null;
+    if (category && !/^[\w-]+$/.test(category)) throw new Error("Invalid category");
 
-        while (page <= maxPages && foundByKey.size < wanted.length) {
-            const data = await fetchGamesPage({ page, perPage, updatedAt: null });
+    return {
+        sort,
+        providers: list(q.provider),
+        types: list(q.type),
+        category,
+        rtpMin: num(q.rtpMin, "rtpMin"),
+        rtpMax: num(q.rtpMax, "rtpMax"),
+        createdAfterTs,
+        limit: Math.min(Math.max(Number(q.limit ?? 30) || 30, 1), 100),
+        cursorKey,
+    };
+}
 
-            // SlotsLaunch usually returns { data: [...], meta: {...} }
-            const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
-            lastMeta = Array.isArray(data) ? null : (data.meta || data.pagination || null);
+app.get("/api/games", async (req, res) => {
+    let opts;
+    try {
+        opts = parseListQuery(req.query);
+    } catch (e) {
+        res.status(400).json({ error: String(e.message || e) });
+        return;
+    }
 
-            if (!rawGames.length) break;
+    try {
+        const docs = await loadCatalog();
+        const categoryIds = opts.category ? new Set(await loadCategoryGameIds(opts.category)) : null;
+
+        const providers = new Set(opts.providers);
+        const types = new Set(opts.types);
+
+        const filtered = docs.filter((g) => {
+            if (providers.size && !providers.has(g.providerSlug)) return false;
+            if (types.size && !types.has(g.gameType)) return false;
+            if (opts.rtpMin !== null && !(Number.isFinite(g.rtp) && g.rtp >= opts.rtpMin)) return false;
+            if (opts.rtpMax !== null && !(Number.isFinite(g.rtp) && g.rtp <= opts.rtpMax)) return false;
+            if (opts.createdAfterTs !== null && safeTs(g.createdAtTs ?? g.createdAt) <= opts.createdAfterTs) return false;
+            if (categoryIds && !categoryIds.has(String(g.id))) return false;
+            return true;
+        });
 
-            for (const g of rawGames) {
-                const apiName = g?.name || g?.title || "";
-                const apiKey = keyName(apiName);
+        // Sort by the chosen key, id as tie-breaker, so [value, id] is a stable cursor.
+        const { value, dir } = GAME_SORTS[opts.sort];
+        const compareKeys = (a, b) => {
+            if (a[0] < b[0]) return -dir;
+            if (a[0] > b[0]) return dir;
+            return String(a[1]).localeCompare(String(b[1]));
+        };
 
-                // Safer fuzzy match to avoid false positives like "Wanted ..." -> "Ted".
-                for (const w of wanted) {
-                    if (foundByKey.has(w.key)) continue;
+        const keyed = filtered
+            .map((g) => ({ g, key: [value(g), String(g.id)] }))
+            .sort((a, b) => compareKeys(a.key, b.key));
 
-                    const apiTokens = apiKey.split(" ").filter(Boolean);
-                    const wantTokens = w.key.split(" ").filter(Boolean);
-                    const overlap = wantTokens.filter((t) => apiTokens.includes(t)).length;
-                    const tokenRatio = wantTokens.length ? overlap / wantTokens.length : 0;
+        const start = opts.cursorKey
+            ? keyed.findIndex((x) => compareKeys(x.key, opts.cursorKey) > 0)
+            : 0;
 
-                    const ok =
-                        apiKey === w.key ||
-                        (w.key.length >= 8 && apiKey.includes(w.key)) ||
-                        (apiKey.length >= 8 && w.key.includes(apiKey)) ||
-                        (overlap >= 2 && tokenRatio >= 0.6);
+        const page = start < 0 ? [] : keyed.slice(start, start + opts.limit);
+        const hasMore = start >= 0 && start + page.length < keyed.length;
 
-                    if (ok) {
-                        const normalized = normalizeGame(g); // uses same shape as your sync 
-                        if (normalized.published === true) {
-                            foundByKey.set(w.key, normalized);
-                        }
-                    }
-                }
-            }
+        res.json({
+            games: page.map((x) => toClientGame(x.g)),
+            total: keyed.length,
+            nextCursor: hasMore && page.length ? encodeCursor(page[page.length - 1].key) : null,
+        });
+    } catch (e) {
+        res.status(503).json({ error: String(e.message || e) });
+    }
+});
 
-            // If API provides total pages, we can stop earlier
-            const totalPages =
-                typeof lastMeta?.total_pages === "number" ? lastMeta.total_pages :
-                    typeof lastMeta?.last_page === "number" ? lastMeta.last_page :
-                        null;
+/* -----------------------------
+   SEARCH: fuzzy name/provider search over the search index
+------------------------------ */
+app.get("/api/search", async (req, res) => {
+    const q = String(req.query.q || "").slice(0, 100);
+    const limit = Math.min(Math.max(Number(req.query.limit ?? 20) || 20, 1), 50);
+    const cacheKey = `${keyName(q)}|${limit}`;
 
-            if (totalPages && page >= totalPages) break;
+    if (!keyName(q)) {
+        res.status(400).json({ error: "q is required" });
+        return;
+    }
 
-            page += 1;
-        }
+    const cached = searchCache.get(cacheKey);
+    if (cached && Date.now() - cached.ts < HOME_CACHE_TTL_MS) {
+        res.json(cached.data);
+        return;
+    }
 
-        const found = [];
-        const missing = [];
+    if (Date.now() < homeCircuitUntil) {
+        if (cached?.data) res.json(cached.data);
+        else res.status(503).json({ error: "Temporarily unavailable" });
+        return;
+    }
 
-        for (const w of wanted) {
-            const g = foundByKey.get(w.key);
-            if (g) found.push(g);
-            else missing.push(w.raw);
+    try {
+        const hits = await searchGames(q, { limit });
+
+        let games = [];
+        if (hits.length) {
+            const firestore = db();
+            const [snaps, overrides] = await Promise.all([
+                firestore.getAll(...hits.map((h) => firestore.collection("games").doc(h.id))),
+                loadOverrides(),
+            ]);
+            const byId = new Map(snaps.filter((s) => s.exists).map((s) => [s.id, applyOverride(s.data(), overrides.get(s.id))]));
+
+            games = hits
+                .filter((h) => byId.get(h.id)?.enabled === true)
+                .map((h) => ({
+                    ...toClientGame(byId.get(h.id)),
+                    match: { score: h.score, providerMatched: h.providerMatched, highlight: h.highlight },
+                }));
         }
 
-        if (found.length) {
-            await upsertGames(found);
-            await setPinnedBestIds(found.map((g) => String(g.id)));
+        const data = { q, games };
 
-            homeCache = null;
-            gameCache.clear();
-        }
+        if (searchCache.size >= SEARCH_CACHE_MAX) searchCache.delete(searchCache.keys().next().value);
+        searchCache.set(cacheKey, { ts: Date.now(), data });
 
-        res.json({
-            ok: true,
-            requested: names,
-            found: found.map((g) => ({ id: g.id, name: g.name, provider: g.provider })),
-            missing,
-            pagesScanned: page,
-            meta: lastMeta || null,
-        });
+        res.json(data);
     } catch (e) {
-        res.status(500).json({ error: String(e.message || e) });
+        if (isQuotaError(e)) {
+            homeCircuitUntil = Date.now() + 60 * 1000;
+            if (cached?.data) {
+                res.json(cached.data);
+                return;
+            }
+        }
+        res.status(503).json({ error: String(e.message || e) });
     }
 });
 
-
-app.post("/api/admin/best-games/pin", async (req, res) => {
-    try {
-        if (!requireSecret(req)) {
-            res.status(401).json({ error: "Unauthorized" });
-            return;
+/* -----------------------------
+   PLAY: redirect to the tokenized SlotsLaunch iframe, built per request
+------------------------------ */
+const PLAY_RATE_LIMIT = Number(process.env.PLAY_RATE_LIMIT_PER_MIN || 30);
+
+// Fixed one-minute window per IP (req.ip, so X-Forwarded-For cannot reset it).
+// Returns ip => true once the IP is over `limit` requests in its window.
+function rateLimiter(limit) {
+    const hits = new Map(); // ip -> { windowStart, count }
+
+    return (ip) => {
+        const now = Date.now();
+        const cur = hits.get(ip);
+        if (!cur || now - cur.windowStart >= 60 * 1000) {
+            if (hits.size > 10000) hits.clear(); // crude bound; windows are short-lived anyway
+            hits.set(ip, { windowStart: now, count: 1 });
+            return false;
         }
-
+        cur.count += 1;
+        return cur.count > limit;
+    };
+}
+
+const playRateLimited = rateLimiter(PLAY_RATE_LIMIT);
+
+app.get("/play/:id", async (req, res) => {
+    const id = String(req.params.id);
+
+    if (!verifyPlayLink(id, req.query.exp, req.query.sig)) {
+        res.status(403).json({ error: "Invalid or expired play link" });
+        return;
+    }
+    if (playRateLimited(req.ip)) {
+        res.status(429).json({ error: "Too many requests" });
+        return;
+    }
+
+    try {
+        const snap = await db().collection("games").doc(id).get();
+        const g = snap.exists ? applyOverride(snap.data(), (await loadOverrides()).get(id)) : null;
+        // Docs synced before apiUrl was stored clean only have the old tokenized embedUrl.
+        const gameUrl = g?.apiUrl || stripToken(g?.embedUrl);
+
+        if (!g || g.enabled !== true || !gameUrl) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        // Keep the tokenized URL out of caches and referrers.
+        res.set("Cache-Control", "no-store");
+        res.set("Referrer-Policy", "no-referrer");
+        res.redirect(302, buildEmbedUrl(gameUrl));
+    } catch (e) {
+        res.status(isQuotaError(e) ? 503 : 500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   TELEMETRY: plays and impressions (telemetry.js), feeding the "popular" sort
+------------------------------ */
+const MAX_IMPRESSION_IDS = 50;
+const impressionsRateLimited = rateLimiter(Number(process.env.IMPRESSIONS_RATE_LIMIT_PER_MIN || 30));
+
+// Sent by the frontend when a game is launched. Auth is optional; signed-in plays also update
+// /api/me/recent. Only signed-in plays move popularity: anonymous ones are counted, not ranked.
+app.post("/api/games/:id/play", telegramAuth({ required: false }), async (req, res) => {
+    const id = String(req.params.id);
+
+    try {
+        const [g] = await hydrateGames([id]);
+        if (!g) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        const who = req.tgUser ? `tg:${req.tgUser.id}` : `ip:${req.ip}`;
+        const counted = recordPlay(g, { who, ranked: Boolean(req.tgUser) });
+        trackRecent(req, id);
+        res.json({ ok: true, counted });
+    } catch (e) {
+        res.status(isQuotaError(e) ? 503 : 500).json({ error: String(e.message || e) });
+    }
+});
+
+// Body: { ids: [gameId, ...] } for games the player has seen in a list. Unknown and hidden ids are ignored.
+// Ids are checked with one getAll of the submitted docs, not against the whole catalog.
+app.post("/api/events/impressions", async (req, res) => {
+    if (impressionsRateLimited(req.ip)) {
+        res.status(429).json({ error: "Too many requests" });
+        return;
+    }
+
+    const ids = Array.isArray(req.body?.ids) ? [...new Set(req.body.ids.map(String))] : null;
+    if (!ids || !ids.length || ids.length > MAX_IMPRESSION_IDS) {
+        res.status(400).json({ error: `ids must be an array of 1-${MAX_IMPRESSION_IDS} game ids` });
+        return;
+    }
+
+    try {
+        const counted = recordImpressions(await hydrateGames(ids));
+        res.json({ ok: true, counted });
+    } catch (e) {
+        res.status(isQuotaError(e) ? 503 : 500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   GAME: cache per id + stale fallback on quota
+------------------------------ */
+// Opening a game as a signed-in Web App user puts it on their recent list (GET /api/me/recent).
+// recordRecent() only buffers; writes are batched by the recent flusher.
+function trackRecent(req, id) {
+    if (req.tgUser) recordRecent(userRef(req), id);
+}
+
+app.get("/api/games/:id", telegramAuth({ required: false }), async (req, res) => {
+    const id = String(req.params.id);
+
+    const cached = gameCache.get(id);
+    if (cached && Date.now() - cached.ts < GAME_CACHE_TTL_MS) {
+        trackRecent(req, id);
+        res.json(cached.data);
+        return;
+    }
+
+    try {
+        const firestore = db();
+        let snap = await firestore.collection("games").doc(id).get();
+
+        // Fallback: if game doc is missing locally, try pulling exact id from SlotsLaunch
+        // and cache it in Firestore to avoid repeated misses.
+        if (!snap.exists) {
+            try {
+                const fetched = await fetchGamesPage({ ids: [id], perPage: 1 });
+                const rawGames = Array.isArray(fetched) ? fetched : (fetched.data || fetched.games || []);
+                if (rawGames.length) {
+                    const normalized = normalizeGame(rawGames[0]);
+                    if (normalized.published === true) {
+                        await upsertGames([normalized]);
+                        snap = await firestore.collection("games").doc(id).get();
+                    }
+                }
+            } catch {
+                // keep original behavior below if upstream fetch fails
+            }
+        }
+
+        // Retired games (unpublished or removed upstream) and hidden ones are treated as missing.
+        const g = snap.exists ? applyOverride(snap.data(), (await loadOverrides()).get(id)) : null;
+        if (!g || g.enabled === false) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        const payload = toClientGame(g);
+
+        gameCache.set(id, { ts: Date.now(), data: payload });
+        trackRecent(req, id);
+        res.json(payload);
+    } catch (e) {
+        if (isQuotaError(e) && cached?.data) {
+            res.json(cached.data);
+            return;
+        }
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+const SIMILAR_MAX = 50;
+
+// Other games like this one (similar.js), ranked over the cached catalog. ?limit= 1-50, default 12.
+app.get("/api/games/:id/similar", async (req, res) => {
+    const id = String(req.params.id);
+    const limit = Math.min(SIMILAR_MAX, Math.max(1, Number(req.query.limit) || 12));
+
+    try {
+        const docs = await loadCatalog();
+        const cached = similarCache.get(id);
+        if (cached && cached.docs === docs && Date.now() - cached.ts < GAME_CACHE_TTL_MS) {
+            res.json({ id, games: cached.games.slice(0, limit) });
+            return;
+        }
+
+        // A game stored since the catalog was cached (e.g. fetched by id) is still served.
+        const byId = await loadCatalogById();
+        const target = byId.get(id) || (await hydrateGames([id]))[0];
+        if (!target) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        const ranked = rankSimilar(target, docs, { limit: SIMILAR_MAX, popularity: await loadPopularity() });
+        const games = ranked.map(toClientGame);
+
+        similarCache.set(id, { ts: Date.now(), docs, games });
+        res.json({ id, games: games.slice(0, limit) });
+    } catch (e) {
+        res.status(isQuotaError(e) ? 503 : 500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   PROVIDERS: list + paginated games per provider
+------------------------------ */
+function toClientProvider(p) {
+    return {
+        slug: p.slug,
+        name: p.name,
+        logoUrl: p.logoUrl || null,
+        gameCount: Number(p.gameCount) || 0,
+    };
+}
+
+app.get("/api/providers", async (req, res) => {
+    try {
+        if (providersCache && Date.now() - providersCache.ts < PROVIDERS_CACHE_TTL_MS) {
+            res.json(providersCache.data);
+            return;
+        }
+
+        const providers = await listProviders();
+        const data = { providers: providers.map(toClientProvider) };
+
+        providersCache = { ts: Date.now(), data };
+        res.json(data);
+    } catch (e) {
+        if (isQuotaError(e) && providersCache?.data) {
+            res.json(providersCache.data);
+            return;
+        }
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// cursor is an opaque offset into the provider's games, newest first.
+app.get("/api/providers/:slug/games", async (req, res) => {
+    const slug = String(req.params.slug);
+    const limit = Math.min(Math.max(Number(req.query.limit ?? 30) || 30, 1), 100);
+    const offset = Math.max(Number(req.query.cursor ?? 0) || 0, 0);
+
+    let cached = providerGamesCache.get(slug);
+
+    try {
+        if (!cached || Date.now() - cached.ts >= PROVIDERS_CACHE_TTL_MS) {
+            // Alias slugs ("hacksaw-gaming") serve the provider they merge into ("hacksaw").
+            const canonical = await resolveProviderSlug(slug);
+            const provider = canonical ? await getProvider(canonical) : null;
+            if (!provider || provider.enabled === false) {
+                res.status(404).json({ error: "Not found" });
+                return;
+            }
+
+            const firestore = db();
+            const [snap, overrides] = await Promise.all([
+                firestore.collection("games").where("providerSlug", "==", canonical).where("enabled", "==", true).get(),
+                loadOverrides(),
+            ]);
+
+            const docs = applyOverrides(snap.docs.map((d) => d.data()), overrides)
+                .filter((g) => g.enabled === true)
+                .sort((a, b) => safeTs(b.updatedAtTs ?? b.updatedAt) - safeTs(a.updatedAtTs ?? a.updatedAt));
+
+            cached = { ts: Date.now(), provider, docs };
+            providerGamesCache.set(slug, cached);
+        }
+    } catch (e) {
+        if (!(isQuotaError(e) && cached)) {
+            res.status(500).json({ error: String(e.message || e) });
+            return;
+        }
+    }
+
+    const page = cached.docs.slice(offset, offset + limit);
+    const next = offset + page.length;
+
+    res.json({
+        provider: toClientProvider(cached.provider),
+        games: page.map(toClientGame),
+        total: cached.docs.length,
+        nextCursor: next < cached.docs.length ? String(next) : null,
+    });
+});
+
+/* -----------------------------
+   SYNC (manual trigger; shares the lock with the scheduler)
+------------------------------ */
+app.post("/api/sync", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        // ?dryRun=true previews the sync as a diff without writing; ?full=true overrides FULL_SYNC.
+        const dryRun = String(req.query.dryRun || "").toLowerCase() === "true";
+        const full = req.query.full === undefined
+            ? undefined
+            : String(req.query.full).toLowerCase() === "true";
+
+        // Dry runs write nothing, so they do not need the lock.
+        if (dryRun) {
+            const info = await runSync({ full, dryRun });
+            res.json({ ok: true, info });
+            return;
+        }
+
+        const locked = await withLock(SYNC_LOCK_NAME, (lease) => runSync({ full, lease, scheduleCategoryRebuild }), { ttlMs: SYNC_LOCK_TTL_MS });
+        if (!locked.acquired) {
+            res.status(409).json({ error: "Sync already running", lock: await getLock(SYNC_LOCK_NAME) });
+            return;
+        }
+
+        const info = locked.result;
+        clearHomeCaches();
+        clearProviderCaches();
+        if (info.disabled) gameCache.clear();
+
+        res.json({ ok: true, info });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: sync run history
+------------------------------ */
+app.get("/api/admin/sync/runs", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const limit = Math.min(Math.max(Number(req.query.limit ?? 20) || 20, 1), 100);
+        const mode = req.query.mode ? String(req.query.mode) : null;
+        const status = req.query.status ? String(req.query.status) : null;
+
+        const runs = await listSyncRuns({ limit, mode, status });
+        res.json({ ok: true, runs });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+app.get("/api/admin/sync/runs/:id", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const run = await getSyncRun(String(req.params.id));
+        if (!run) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        res.json({ ok: true, run });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: curated collections (title, icon, ordered ids, optional fill-from rule)
+------------------------------ */
+
+// Loose name match that still avoids false positives like "Wanted ..." -> "Ted".
+function nameMatches(wantKey, apiKey) {
+    if (apiKey === wantKey) return true;
+    if (wantKey.length >= 6 && apiKey.includes(wantKey)) return true;
+    if (apiKey.length >= 8 && wantKey.includes(apiKey)) return true;
+
+    const wantTokens = wantKey.split(" ").filter(Boolean);
+    const apiTokens = apiKey.split(" ").filter(Boolean);
+    const overlap = wantTokens.filter((t) => apiTokens.includes(t)).length;
+    return overlap >= Math.min(2, wantTokens.length) && overlap / wantTokens.length >= 0.6;
+}
+
+function providerMatches(wantKey, apiKey) {
+    return !wantKey || apiKey === wantKey || apiKey.includes(wantKey) || wantKey.includes(apiKey);
+}
+
+// Scans SlotsLaunch pages for [{ name, provider? }] and returns the normalized published games found.
+// fetchGamesPage() can look games up by id but not by name, hence the scan. Pulls resolve ids and
+// local names first, so this only runs for names the catalog does not have.
+// onPage({ page, found }) is awaited after each page; throwing from it stops the scan.
+async function findUpstreamGames(requested, { maxPages = 40, perPage = 150, stats, onPage = null } = {}) {
+    const wanted = requested
+        .map((x, idx) => ({ idx, raw: x, nameKey: keyName(x.name), providerKey: keyName(x.provider) }))
+        .filter((w) => w.nameKey);
+
+    const foundByIdx = new Map(); // idx -> normalized game
+
+    let page = 1;
+    let lastMeta = null;
+
+    while (page <= maxPages && foundByIdx.size < wanted.length) {
+        const data = await fetchGamesPage({ page, perPage, updatedAt: null, stats });
+
+        // SlotsLaunch usually returns { data: [...], meta: {...} }
+        const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
+        lastMeta = Array.isArray(data) ? null : (data.meta || data.pagination || null);
+
+        if (!rawGames.length) break;
+
+        for (const g of rawGames) {
+            const normalized = normalizeGame(g);
+            if (normalized.published !== true) continue;
+
+            const apiNameKey = keyName(normalized.name);
+            const apiProviderKey = keyName(normalized.provider);
+
+            for (const w of wanted) {
+                if (foundByIdx.has(w.idx)) continue;
+                if (nameMatches(w.nameKey, apiNameKey) && providerMatches(w.providerKey, apiProviderKey)) {
+                    foundByIdx.set(w.idx, normalized);
+                }
+            }
+        }
+
+        if (onPage) await onPage({ page, found: foundByIdx.size });
+
+        // If API provides total pages, we can stop earlier
+        const totalPages =
+            typeof lastMeta?.total_pages === "number" ? lastMeta.total_pages :
+                typeof lastMeta?.last_page === "number" ? lastMeta.last_page :
+                    null;
+
+        if (totalPages && page >= totalPages) break;
+        page += 1;
+    }
+
+    const found = [];
+    const foundFor = new Map(); // requested item -> normalized game
+    for (const w of wanted) {
+        const g = foundByIdx.get(w.idx);
+        if (!g) continue;
+        found.push(g);
+        foundFor.set(w.raw, g);
+    }
+
+    return { found, foundFor, pagesScanned: page, meta: lastMeta };
+}
+
+// Collection ids are baked into its category run, so every change rebuilds: through the
+// debounced job, so a burst of edits costs one rebuild and no request waits for the lock.
+function afterCollectionChange() {
+    scheduleCategoryRebuild("collection");
+    clearHomeCaches();
+}
+
+async function loadCollectionOr404(req, res) {
+    const collection = await getCollection(String(req.params.slug));
+    if (!collection) res.status(404).json({ error: "Not found" });
+    return collection;
+}
+
+app.get("/api/admin/collections", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        invalidateCollections();
+        res.json({ ok: true, collections: await listCollections() });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Creates a collection, or updates the given fields of an existing one (body: slug, title, icon,
+// ids, fill: { filter, sort } | null, limit, pullList). Placement on home is set through PUT /api/admin/home-layout.
+app.post("/api/admin/collections", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        let saved;
+        try {
+            saved = await saveCollection(req.body?.slug, req.body || {});
+        } catch (e) {
+            res.status(400).json({ error: String(e.message || e) });
+            return;
+        }
+
+        afterCollectionChange();
+        res.status(saved.created ? 201 : 200).json({ ok: true, ...saved, categoriesRebuild: "scheduled" });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+const PULL_IDS_PER_CALL = 50;
+
+// Resolves games by name (and optional provider) and makes them the collection's ids, in request order.
+// Explicit ids missing locally are fetched from SlotsLaunch by id. Names are matched against the local
+// search index first; only names without any local candidate are looked up upstream (a bounded scan,
+// maxPages, off with upstream: false). Ambiguous names are not pinned: they come back with scored
+// candidates, to confirm by passing `id` or via /pin. Everything not pinned is listed in `unresolved`.
+registerJobHandler("collection-pull", async (ctx) => {
+    const { slug, requested, dryRun, upstream, maxPages, perPage } = ctx.params;
+    const firestore = db();
+    const results = requested.map((r) => ({ requested: r, id: null, source: null, candidates: [] }));
+    const stats = createFetchStats();
+    let upstreamFound = [];
+
+    // 1) Explicit ids (an admin confirming a candidate), fetched upstream by id when not stored.
+    const withId = results.filter((x) => x.requested.id);
+    if (withId.length) {
+        const snaps = await firestore.getAll(...withId.map((x) => firestore.collection("games").doc(x.requested.id)));
+        snaps.forEach((snap, idx) => {
+            if (snap.exists) Object.assign(withId[idx], { id: snap.id, source: "id", name: snap.get("name") });
+        });
+
+        const unknown = withId.filter((x) => !x.id);
+        if (unknown.length && upstream) {
+            ctx.log(`Fetching ${unknown.length} unknown id(s) upstream`);
+            for (let i = 0; i < unknown.length; i += PULL_IDS_PER_CALL) {
+                const chunk = unknown.slice(i, i + PULL_IDS_PER_CALL);
+                const data = await fetchGamesPage({ ids: chunk.map((x) => x.requested.id), perPage: chunk.length, stats });
+                const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
+                const byId = new Map(rawGames.map(normalizeGame).filter((g) => g.published === true).map((g) => [String(g.id), g]));
+
+                for (const x of chunk) {
+                    const g = byId.get(String(x.requested.id));
+                    if (!g) continue;
+                    upstreamFound.push(g);
+                    Object.assign(x, { id: String(g.id), source: "upstream-id", name: g.name });
+                }
+                ctx.throwIfCancelled();
+            }
+        }
+    }
+
+    // 2) Local name index.
+    const byName = results.filter((x) => !x.id && !x.requested.id);
+    const matches = await matchGameNames(byName.map((x) => x.requested));
+    ctx.progress({ requested: requested.length, matchedLocally: matches.filter((m) => m.match).length });
+    ctx.throwIfCancelled();
+    matches.forEach((m, idx) => {
+        byName[idx].candidates = m.candidates;
+        if (m.match) Object.assign(byName[idx], { id: m.match.id, source: "local", name: m.match.name, score: m.match.score });
+    });
+
+    // 3) Upstream, only for names nothing local came close to.
+    const misses = byName.filter((x) => !x.id && !x.candidates.length);
+    let pagesScanned = 0;
+
+    if (misses.length && upstream) {
+        ctx.log(`Looking up ${misses.length} unmatched name(s) upstream`);
+        const r = await findUpstreamGames(misses.map((x) => x.requested), {
+            maxPages,
+            perPage,
+            stats,
+            onPage: ({ page, found }) => {
+                ctx.progress({ pagesScanned: page, upstreamFound: found });
+                ctx.throwIfCancelled();
+            },
+        });
+        upstreamFound = [...upstreamFound, ...r.found];
+        pagesScanned = r.pagesScanned;
+
+        for (const x of misses) {
+            const g = r.foundFor.get(x.requested);
+            if (g) Object.assign(x, { id: String(g.id), source: "upstream", name: g.name });
+        }
+    }
+
+    const ids = [...new Set(results.filter((x) => x.id).map((x) => x.id))];
+    const unresolved = results.filter((x) => !x.id).map((x) => x.requested);
+    if (unresolved.length) {
+        ctx.log(`Not pinned (${unresolved.length}): ${unresolved.map((r) => r.id || r.name).join(", ")}`);
+    }
+
+    if (!dryRun && ids.length) {
+        if (upstreamFound.length) await upsertGames(upstreamFound);
+        await setCollectionIds(slug, ids);
+        afterCollectionChange();
+        gameCache.clear();
+        ctx.progress({ gamesUpdated: upstreamFound.length });
+    }
+
+    return {
+        ok: true,
+        dryRun,
+        pinned: dryRun ? [] : ids,
+        resolved: results
+            .filter((x) => x.id)
+            .map((x) => ({ requested: x.requested, id: x.id, name: x.name, source: x.source, score: x.score ?? null })),
+        ambiguous: results
+            .filter((x) => !x.id && x.candidates.length)
+            .map((x) => ({ requested: x.requested, candidates: x.candidates })),
+        missing: results.filter((x) => !x.id && !x.candidates.length).map((x) => x.requested),
+        unresolved,
+        pagesScanned,
+        upstream: summarizeFetchStats(stats),
+    };
+});
+
+// Body: games: [{ name, provider?, id? }] or names: [...]; defaults to the collection's pullList.
+// dryRun: true returns the resolution without writing anything. Runs as a job (see /api/admin/jobs/:id).
+app.post("/api/admin/collections/:slug/pull", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const collection = await loadCollectionOr404(req, res);
+        if (!collection) return;
+
+        const requested = Array.isArray(req.body?.games) && req.body.games.length
+            ? req.body.games.map((x) => ({
+                name: String(x?.name || ""),
+                provider: String(x?.provider || ""),
+                ...(x?.id ? { id: String(x.id) } : {}),
+            }))
+            : Array.isArray(req.body?.names) && req.body.names.length
+                ? req.body.names.map((n) => ({ name: String(n) }))
+                : collection.pullList || [];
+
+        if (!requested.length) {
+            res.status(400).json({ error: "games[] or names[] is required" });
+            return;
+        }
+
+        const job = await enqueueJob("collection-pull", {
+            slug: collection.slug,
+            requested,
+            dryRun: req.body?.dryRun === true,
+            upstream: req.body?.upstream !== false,
+            maxPages: Number(req.body?.maxPages ?? 40),
+            perPage: Number(req.body?.perPage ?? 150),
+        });
+
+        res.status(202).json(jobAccepted(job));
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Replaces the collection's ids; unknown games are dropped and reported.
+app.post("/api/admin/collections/:slug/pin", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const collection = await loadCollectionOr404(req, res);
+        if (!collection) return;
+
         const ids = Array.isArray(req.body?.ids)
             ? req.body.ids.map((x) => String(x).trim()).filter(Boolean)
             : [];
 
-        if (!ids.length) {
-            res.status(400).json({ error: "ids[] is required" });
+        if (!ids.length) {
+            res.status(400).json({ error: "ids[] is required" });
+            return;
+        }
+
+        const firestore = db();
+        const refs = ids.map((id) => firestore.collection("games").doc(String(id)));
+        const snaps = await firestore.getAll(...refs);
+
+        const existing = snaps
+            .filter((s) => s.exists)
+            .map((s) => s.id);
+
+        await setCollectionIds(collection.slug, existing);
+        afterCollectionChange();
+
+        res.json({ ok: true, pinned: existing, missing: ids.filter((id) => !existing.includes(id)), categoriesRebuild: "scheduled" });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Body: ids in the new order. Ids left out keep their relative order after the given ones.
+app.post("/api/admin/collections/:slug/reorder", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const collection = await loadCollectionOr404(req, res);
+        if (!collection) return;
+
+        let ids;
+        try {
+            ids = reorderIds(collection.ids || [], req.body?.ids);
+        } catch (e) {
+            res.status(400).json({ error: String(e.message || e) });
+            return;
+        }
+
+        await setCollectionIds(collection.slug, ids);
+        afterCollectionChange();
+
+        res.json({ ok: true, ids, categoriesRebuild: "scheduled" });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+app.delete("/api/admin/collections/:slug", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const slug = String(req.params.slug);
+        if (!(await removeCollection(slug))) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        const { deletedRuns } = await deleteCategory(slug);
+        clearHomeCaches();
+
+        res.json({ ok: true, deletedRuns });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN reset (runs as a job)
+------------------------------ */
+// Reset and restore rewrite games wholesale. Holding the sync lock keeps scheduled and manual
+// syncs from writing into the collections mid-wipe.
+async function withSyncLock(fn) {
+    const locked = await withLock(SYNC_LOCK_NAME, fn, { ttlMs: SYNC_LOCK_TTL_MS });
+    if (!locked.acquired) throw new Error("A sync is running; try again when it has finished");
+    return locked.result;
+}
+
+registerJobHandler("reset", async (ctx) => {
+    const { target, dryRun, skipSnapshot } = ctx.params;
+    const onPage = ({ page, collected }) => {
+        ctx.progress({ pagesScanned: page, gamesCollected: collected });
+        if (dryRun) ctx.throwIfCancelled();
+    };
+
+    // Dry run: show what the reseed would store and which games the wipe would remove.
+    if (dryRun) return seedNewestPublishedGames({ target, dryRun: true, replaceExisting: true, onPage });
+
+    return withSyncLock(async (lease) => {
+        // The undo for a reset: restore this snapshot via /api/admin/snapshots/:id/restore.
+        if (!skipSnapshot) {
+            ctx.log("Taking a snapshot before the wipe");
+            const snapshot = await createSnapshot({ reason: "pre-reset", onProgress: (p) => ctx.progress({ snapshot: p }) });
+            ctx.progress({ snapshotId: snapshot.id });
+            ctx.log(`Snapshot ${snapshot.id} written`);
+        }
+
+        ctx.throwIfCancelled();
+        lease.throwIfLost();
+        ctx.log("Deleting all games");
+        await deleteCollection("games", 300);
+
+        // Past the wipe the job no longer stops when cancelled: an empty catalog is worse than waiting.
+        ctx.log(`Seeding ${target} newest published games`);
+        const info = await seedNewestPublishedGames({ target, onPage });
+        ctx.progress({ gamesUpdated: info.stored });
+
+        ctx.log("Rebuilding search index and categories");
+        await rebuildSearchIndex(); // the wipe above left the index pointing at deleted games
+        await rebuildCategoriesLocked();
+
+        clearHomeCaches();
+        gameCache.clear();
+        clearProviderCaches();
+
+        return info;
+    });
+});
+
+app.post("/api/admin/reset", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const job = await enqueueJob("reset", {
+            target: Number(req.body?.target ?? 100),
+            dryRun: String(req.query.dryRun ?? req.body?.dryRun ?? "").toLowerCase() === "true",
+            skipSnapshot: req.body?.skipSnapshot === true,
+        });
+
+        res.status(202).json(jobAccepted(job));
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: catalog snapshots (export / restore)
+------------------------------ */
+registerJobHandler("snapshot", async (ctx) => {
+    const snapshot = await createSnapshot({
+        reason: ctx.params.reason || "manual",
+        onProgress: (p) => ctx.progress(p),
+    });
+    return { snapshot };
+});
+
+registerJobHandler("restore", async (ctx) => {
+    const { snapshotId, skipSnapshot } = ctx.params;
+    const snapshot = await getSnapshot(snapshotId);
+    if (!snapshot) throw new Error(`Snapshot ${snapshotId} not found`);
+
+    return withSyncLock(async (lease) => {
+        let backupId = null;
+        if (!skipSnapshot) {
+            ctx.log("Taking a snapshot of the current state first");
+            // The prune after this backup must not delete the snapshot being restored.
+            backupId = (await createSnapshot({ reason: `pre-restore:${snapshotId}`, keepIds: [String(snapshotId)] })).id;
+            ctx.log(`Snapshot ${backupId} written`);
+        }
+
+        // Once deleting starts the restore runs to the end; a half-restored catalog is worse.
+        ctx.throwIfCancelled();
+        lease.throwIfLost();
+        ctx.log(`Restoring snapshot ${snapshotId}`);
+        const info = await restoreSnapshot(snapshot, { onProgress: (p) => ctx.progress(p) });
+
+        ctx.log("Removing SlotsLaunch tokens carried by older snapshots");
+        await scrubStoredTokens({ progress: (p) => ctx.progress({ scrub: p }), throwIfCancelled() {} });
+
+        ctx.log("Rebuilding search index");
+        invalidateCollections();
+        invalidateCampaigns();
+        invalidateOverrides();
+        invalidateHomeLayout();
+        invalidateProviderAliases();
+        await rebuildSearchIndex();
+
+        clearHomeCaches();
+        gameCache.clear();
+        clearProviderCaches();
+
+        return { ...info, backupId };
+    });
+});
+
+app.get("/api/admin/snapshots", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const limit = Math.min(Math.max(Number(req.query.limit ?? 20) || 20, 1), 100);
+        res.json({ ok: true, snapshots: await listSnapshots({ limit }) });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+app.post("/api/admin/snapshots", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const job = await enqueueJob("snapshot", { reason: String(req.body?.reason || "manual") });
+        res.status(202).json(jobAccepted(job));
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Streams the NDJSON file.
+app.get("/api/admin/snapshots/:id/download", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const snapshot = await getSnapshot(String(req.params.id));
+        if (!snapshot || snapshot.status !== "complete") {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        res.setHeader("Content-Type", "application/x-ndjson");
+        res.setHeader("Content-Disposition", `attachment; filename="snapshot-${snapshot.id}.ndjson"`);
+
+        const stream = openSnapshotStream(snapshot);
+        stream.on("error", (e) => {
+            if (!res.headersSent) res.status(500).json({ error: String(e.message || e) });
+            else res.destroy(e);
+        });
+        stream.pipe(res);
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Replaces the catalog with the snapshot (after snapshotting the current state, unless skipSnapshot).
+app.post("/api/admin/snapshots/:id/restore", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const snapshot = await getSnapshot(String(req.params.id));
+        if (!snapshot) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+        if (snapshot.status !== "complete") {
+            res.status(409).json({ error: `Snapshot is ${snapshot.status}` });
+            return;
+        }
+
+        const job = await enqueueJob("restore", {
+            snapshotId: snapshot.id,
+            skipSnapshot: req.body?.skipSnapshot === true,
+        });
+        res.status(202).json(jobAccepted(job));
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: category runs (history + rollback)
+------------------------------ */
+app.get("/api/admin/categories/:id/runs", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const id = String(req.params.id);
+        const firestore = db();
+        const catSnap = await firestore.collection("categories").doc(id).get();
+        if (!catSnap.exists) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        const runs = await listCategoryRuns(id);
+        const cat = catSnap.data() || {};
+        res.json({
+            ok: true,
+            activeRunId: cat.activeRunId || null,
+            latestRunId: cat.latestRunId || null,
+            pinnedRunId: pinnedRunOf(cat),
+            frozenUntil: pinnedRunOf(cat) ? cat.frozenUntil : null,
+            runs,
+        });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+app.post("/api/admin/categories/:id/rollback", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        let info;
+        try {
+            info = await rollbackCategory(String(req.params.id), {
+                runId: req.body?.runId || null,
+                freezeHours: req.body?.freezeHours ?? undefined,
+            });
+        } catch (e) {
+            res.status(400).json({ error: String(e.message || e) });
+            return;
+        }
+
+        clearHomeCaches();
+        res.json({
+            ok: true,
+            info,
+            note: info.frozenUntil
+                ? `Rebuilds keep this run active until ${info.frozenUntil}`
+                : "Temporary: the next category rebuild replaces this run",
+        });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Ends a rollback freeze early.
+app.delete("/api/admin/categories/:id/freeze", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        let info;
+        try {
+            info = await unfreezeCategory(String(req.params.id));
+        } catch (e) {
+            res.status(404).json({ error: String(e.message || e) });
+            return;
+        }
+
+        res.json({ ok: true, info });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: per-game overrides (gameOverrides/{id}, applied when serving)
+------------------------------ */
+async function loadAdminGame(id) {
+    const firestore = db();
+    const [snap, override, stats] = await Promise.all([
+        firestore.collection("games").doc(id).get(),
+        getOverride(id),
+        getGameStats(id),
+    ]);
+    if (!snap.exists) return null;
+
+    const upstream = snap.data();
+    const effective = applyOverride(upstream, override);
+    return {
+        upstream,
+        override,
+        served: { ...toClientGame(effective), enabled: effective.enabled === true, tags: effective.tags || [] },
+        stats,
+    };
+}
+
+// Membership of category runs and the search index depend on the overridden fields.
+// The search entry is updated inline; the full category rebuild runs as a job, debounced so a
+// burst of edits costs one rebuild.
+async function afterOverrideChange(id) {
+    const firestore = db();
+    const snap = await firestore.collection("games").doc(id).get();
+    if (snap.exists) {
+        const batch = firestore.batch();
+        addSearchIndexWrites(batch, [applyOverride(snap.data(), (await loadOverrides()).get(id))]);
+        await batch.commit();
+    }
+
+    scheduleCategoryRebuild("override");
+    clearHomeCaches();
+    clearProviderCaches();
+    gameCache.delete(id);
+}
+
+const CATEGORY_REBUILD_DEBOUNCE_MS = 10 * 1000;
+let categoryRebuildTimer = null;
+
+registerJobHandler("rebuild-categories", async (ctx) => {
+    ctx.log(`Rebuilding categories (${ctx.params.reason || "manual"})`);
+    const info = await rebuildCategoriesLocked();
+    clearHomeCaches();
+    return { ok: true, ...info };
+});
+
+// Enqueues one rebuild job after edits settle; a job still queued covers later edits too.
+function scheduleCategoryRebuild(reason) {
+    if (categoryRebuildTimer) return;
+    categoryRebuildTimer = setTimeout(async () => {
+        categoryRebuildTimer = null;
+        try {
+            const queued = await listJobs({ type: "rebuild-categories", status: "queued", limit: 1 });
+            if (!queued.length) await enqueueJob("rebuild-categories", { reason });
+        } catch (e) {
+            console.error("category rebuild enqueue failed:", e?.message || e);
+        }
+    }, CATEGORY_REBUILD_DEBOUNCE_MS);
+}
+
+// Upstream doc, stored override and the game as clients see it.
+app.get("/api/admin/games/:id", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const game = await loadAdminGame(String(req.params.id));
+        if (!game) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        res.json({ ok: true, ...game });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Body: any of name, thumb, rtp, enabled, tags; null clears that override.
+app.put("/api/admin/games/:id/overrides", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const id = String(req.params.id);
+        const snap = await db().collection("games").doc(id).get();
+        if (!snap.exists) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        try {
+            await saveOverride(id, req.body || {});
+        } catch (e) {
+            res.status(400).json({ error: String(e.message || e) });
+            return;
+        }
+
+        await afterOverrideChange(id);
+        res.json({ ok: true, categoriesRebuild: "scheduled", ...(await loadAdminGame(id)) });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+app.delete("/api/admin/games/:id/overrides", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const id = String(req.params.id);
+        if (!(await deleteOverride(id))) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        await afterOverrideChange(id);
+        res.json({ ok: true, categoriesRebuild: "scheduled" });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Removes tokenized embedUrl fields left by older syncs (or restored from older snapshots),
+// keeping a clean apiUrl. Pages through games in id order.
+async function scrubStoredTokens(ctx) {
+    const firestore = db();
+    const pageSize = 400;
+    let last = null;
+    let scanned = 0;
+    let scrubbed = 0;
+
+    while (true) {
+        let q = firestore
+            .collection("games")
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .select("embedUrl", "apiUrl")
+            .limit(pageSize);
+        if (last) q = q.startAfter(last);
+        const snap = await q.get();
+        if (snap.empty) break;
+
+        const batch = firestore.batch();
+        for (const d of snap.docs) {
+            const embedUrl = d.get("embedUrl");
+            const apiUrl = d.get("apiUrl");
+            if (embedUrl === undefined && !String(apiUrl || "").includes("token=")) continue;
+
+            batch.set(d.ref, {
+                apiUrl: stripToken(apiUrl || embedUrl),
+                embedUrl: admin.firestore.FieldValue.delete(),
+            }, { merge: true });
+            scrubbed += 1;
+        }
+        await batch.commit();
+
+        scanned += snap.size;
+        ctx.progress({ scanned, scrubbed });
+        ctx.throwIfCancelled();
+
+        if (snap.size < pageSize) break;
+        last = snap.docs[snap.docs.length - 1];
+    }
+
+    return { scanned, scrubbed };
+}
+
+registerJobHandler("scrub-tokens", scrubStoredTokens);
+
+app.post("/api/admin/games/scrub-tokens", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const job = await enqueueJob("scrub-tokens");
+        res.status(202).json(jobAccepted(job));
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: home layout (meta/homeLayout)
+------------------------------ */
+function toAdminSection(c) {
+    return { id: c.id, title: c.title, icon: c.icon, limit: c.homeLimit, visible: c.visible, collection: c.collection === true };
+}
+
+app.get("/api/admin/home-layout", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
             return;
         }
 
-        const firestore = db();
-        const refs = ids.map((id) => firestore.collection("games").doc(String(id)));
-        const snaps = await firestore.getAll(...refs);
+        const layout = await getHomeLayout();
+        const sections = await listServedCategories();
 
-        const existing = snaps
-            .filter((s) => s.exists)
-            .map((s) => s.id);
+        res.json({
+            ok: true,
+            isDefault: !layout,
+            updatedAt: layout?.updatedAt || null,
+            sections: sections.map(toAdminSection),
+        });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Body: { sections: [{ id, visible, limit, title?, icon? }] } in home order. Sections left out
+// are appended (category rules visible, collections hidden).
+app.put("/api/admin/home-layout", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
 
-        await setPinnedBestIds(existing);
+        const known = [...CATEGORY_DEFS.map((c) => c.id), ...(await listCollections()).map((c) => c.slug)];
 
-        homeCache = null;
-        gameCache.clear();
+        let layout;
+        try {
+            layout = validateHomeLayout(req.body, known);
+        } catch (e) {
+            res.status(400).json({ error: String(e.message || e) });
+            return;
+        }
 
-        res.json({ ok: true, pinned: existing, missing: ids.filter((id) => !existing.includes(id)) });
+        const saved = await saveHomeLayout(layout);
+        clearHomeCaches();
+
+        const sections = await listServedCategories();
+        res.json({ ok: true, updatedAt: saved.updatedAt, sections: sections.map(toAdminSection) });
     } catch (e) {
         res.status(500).json({ error: String(e.message || e) });
     }
 });
 
-app.post("/api/admin/casual-games/pull", async (req, res) => {
+app.delete("/api/admin/home-layout", async (req, res) => {
     try {
         if (!requireSecret(req)) {
             res.status(401).json({ error: "Unauthorized" });
             return;
         }
 
-        const requestedGames = Array.isArray(req.body?.games) && req.body.games.length
-            ? req.body.games
-            : DEFAULT_CASUAL_GAMES;
+        await resetHomeLayout();
+        clearHomeCaches();
+
+        res.json({ ok: true });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
-        const maxPages = Number(req.body?.maxPages ?? 400);
-        const perPage = Number(req.body?.perPage ?? 150);
+/* -----------------------------
+   ADMIN: seasonal campaigns
+------------------------------ */
+function withCampaignStatus(c, at = Date.now()) {
+    return { ...c, status: campaignStatus(c, at) };
+}
 
-        const wanted = requestedGames.map((x, idx) => {
-            const name = String(x?.name || "");
-            const provider = String(x?.provider || "");
-            return {
-                idx,
-                rawName: name,
-                rawProvider: provider,
-                nameKey: keyName(name),
-                providerKey: keyName(provider),
-            };
-        }).filter((x) => x.nameKey);
+app.get("/api/admin/campaigns", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
 
-        const foundByIdx = new Map(); // idx -> normalized game
+        // ?at= shows which campaign would be live at that moment (defaults to now).
+        const at = req.query.at ? Date.parse(String(req.query.at)) : Date.now();
+        if (!Number.isFinite(at)) {
+            res.status(400).json({ error: "at must be a date" });
+            return;
+        }
 
-        let page = 1;
-        let lastMeta = null;
+        const list = await listCampaigns();
+        const active = pickActiveCampaign(list, at);
 
-        while (page <= maxPages && foundByIdx.size < wanted.length) {
-            const data = await fetchGamesPage({ page, perPage, updatedAt: null });
-            const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
-            lastMeta = Array.isArray(data) ? null : (data.meta || data.pagination || null);
+        res.json({
+            ok: true,
+            at: new Date(at).toISOString(),
+            activeId: active?.id || null,
+            campaigns: list
+                .map((c) => withCampaignStatus(c, at))
+                .sort((a, b) => Date.parse(a.startAt) - Date.parse(b.startAt)),
+        });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
-            if (!rawGames.length) break;
+// Evaluates the campaign against the live catalog, so upcoming campaigns can be checked before they start.
+app.get("/api/admin/campaigns/:id/preview", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
 
-            for (const g of rawGames) {
-                const normalized = normalizeGame(g);
-                if (normalized.published !== true) continue;
+        const campaign = (await listCampaigns()).find((c) => c.id === String(req.params.id));
+        if (!campaign) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
 
-                const apiNameKey = keyName(normalized.name || g?.name || g?.title || "");
-                const apiProviderKey = keyName(normalized.provider || g?.provider?.name || g?.provider || "");
-                const apiTokens = apiNameKey.split(" ").filter(Boolean);
+        const docs = await loadCatalog();
+        const games = evaluateCategory(campaignToRule(campaign), docs, { pinnedIds: campaign.ids || [] });
 
-                for (const w of wanted) {
-                    if (foundByIdx.has(w.idx)) continue;
+        res.json({ ok: true, campaign: withCampaignStatus(campaign), total: games.length, games: games.map(toClientGame) });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
-                    const wantTokens = w.nameKey.split(" ").filter(Boolean);
-                    const overlap = wantTokens.filter((t) => apiTokens.includes(t)).length;
-                    const tokenRatio = wantTokens.length ? overlap / wantTokens.length : 0;
+app.put("/api/admin/campaigns/:id", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
 
-                    const nameOk =
-                        apiNameKey === w.nameKey ||
-                        (w.nameKey.length >= 6 && apiNameKey.includes(w.nameKey)) ||
-                        (overlap >= 1 && tokenRatio >= 0.7);
+        let campaign;
+        try {
+            campaign = await saveCampaign(String(req.params.id), req.body || {});
+        } catch (e) {
+            res.status(400).json({ error: String(e.message || e) });
+            return;
+        }
 
-                    const providerOk =
-                        !w.providerKey ||
-                        apiProviderKey === w.providerKey ||
-                        apiProviderKey.includes(w.providerKey) ||
-                        w.providerKey.includes(apiProviderKey);
+        // The campaign's run is built by the debounced rebuild job, well before home switches to it.
+        scheduleCategoryRebuild("campaign");
+        clearHomeCaches();
 
-                    if (nameOk && providerOk) {
-                        foundByIdx.set(w.idx, normalized);
-                    }
-                }
-            }
+        res.json({ ok: true, campaign: withCampaignStatus(campaign), categoriesRebuild: "scheduled" });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
-            const totalPages =
-                typeof lastMeta?.total_pages === "number" ? lastMeta.total_pages :
-                    typeof lastMeta?.last_page === "number" ? lastMeta.last_page :
-                        null;
+app.delete("/api/admin/campaigns/:id", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
 
-            if (totalPages && page >= totalPages) break;
-            page += 1;
+        const deleted = await deleteCampaign(String(req.params.id));
+        if (!deleted) {
+            res.status(404).json({ error: "Not found" });
+            return;
         }
 
-        const found = [];
-        const missing = [];
+        await deleteCategory(campaignCategoryId(String(req.params.id)));
+        clearHomeCaches();
+        res.json({ ok: true });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
-        for (const w of wanted) {
-            const g = foundByIdx.get(w.idx);
-            if (g) found.push(g);
-            else missing.push({ name: w.rawName, provider: w.rawProvider });
+/* -----------------------------
+   ADMIN: play telemetry
+------------------------------ */
+// Daily totals plus the most played games and providers over the last ?days= (default 7, max 60).
+app.get("/api/admin/stats", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
         }
 
-        if (found.length) {
-            await upsertGames(found);
-            await setPinnedCasualIds(found.map((g) => String(g.id)));
+        const days = Math.min(60, Math.max(1, Number(req.query.days) || 7));
+        const top = Math.min(100, Math.max(1, Number(req.query.top) || 20));
+        res.json({ ok: true, ...(await getStatsSummary({ days, top })) });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: search index
+------------------------------ */
+registerJobHandler("rebuild-search", async (ctx) => {
+    ctx.log("Rebuilding search index");
+    const info = await rebuildSearchIndex();
+    clearHomeCaches();
+    return { ok: true, info };
+});
 
-            homeCache = null;
-            gameCache.clear();
+// Scans the whole catalog, so it runs as a job.
+app.post("/api/admin/search/rebuild", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
         }
 
-        res.json({
-            ok: true,
-            requested: requestedGames,
-            found: found.map((g) => ({ id: g.id, name: g.name, provider: g.provider })),
-            missing,
-            pagesScanned: page,
-            meta: lastMeta || null,
-        });
+        const job = await enqueueJob("rebuild-search", {});
+        res.status(202).json(jobAccepted(job));
     } catch (e) {
         res.status(500).json({ error: String(e.message || e) });
     }
 });
 
-app.post("/api/admin/casual-games/pin", async (req, res) => {
+/* -----------------------------
+   ADMIN: providers
+------------------------------ */
+app.get("/api/admin/providers", async (req, res) => {
     try {
         if (!requireSecret(req)) {
             res.status(401).json({ error: "Unauthorized" });
             return;
         }
 
-        const ids = Array.isArray(req.body?.ids)
-            ? req.body.ids.map((x) => String(x).trim()).filter(Boolean)
-            : [];
+        const providers = await listProviders({ includeDisabled: true });
+        res.json({ ok: true, providers });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
-        if (!ids.length) {
-            res.status(400).json({ error: "ids[] is required" });
+app.put("/api/admin/providers/:slug", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
             return;
         }
 
-        const firestore = db();
-        const refs = ids.map((id) => firestore.collection("games").doc(String(id)));
-        const snaps = await firestore.getAll(...refs);
+        let provider;
+        try {
+            provider = await updateProvider(String(req.params.slug), req.body || {});
+        } catch (e) {
+            res.status(400).json({ error: String(e.message || e) });
+            return;
+        }
 
-        const existing = snaps
-            .filter((s) => s.exists)
-            .map((s) => s.id);
+        if (!provider) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
 
-        await setPinnedCasualIds(existing);
+        clearProviderCaches();
+        res.json({ ok: true, provider });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
-        homeCache = null;
-        gameCache.clear();
+// Re-derives providerSlug for stored games (e.g. after editing aliases) and recounts.
+registerJobHandler("rebuild-provider-slugs", async (ctx) => {
+    const firestore = db();
+    const snap = await firestore.collection("games").select("provider", "providerSlug").get();
+
+    const games = snap.docs.map((d) => ({
+        id: d.id,
+        provider: d.get("provider") || "",
+        previousSlug: d.get("providerSlug") || "",
+    }));
+
+    const chunkSize = 250;
+    let changed = 0;
+    ctx.progress({ total: games.length, scanned: 0, changed });
+
+    // Chunks written before a cancel keep their new slugs.
+    for (let i = 0; i < games.length; i += chunkSize) {
+        ctx.throwIfCancelled();
+        const chunk = games.slice(i, i + chunkSize);
+        await syncProvidersForGames(chunk);
+
+        const batch = firestore.batch();
+        let writes = 0;
+        for (const g of chunk) {
+            if (g.providerSlug === g.previousSlug) continue;
+            batch.set(firestore.collection("games").doc(g.id), { providerSlug: g.providerSlug }, { merge: true });
+            writes += 1;
+        }
+        if (writes) await batch.commit();
+        changed += writes;
+        ctx.progress({ scanned: i + chunk.length, changed });
+    }
+
+    ctx.log("Recounting providers");
+    const counts = await refreshProviderCounts();
+
+    clearHomeCaches();
+    gameCache.clear();
+    clearProviderCaches();
+
+    return { ok: true, scanned: games.length, changed, providers: Object.keys(counts).length };
+});
+
+app.post("/api/admin/providers/rebuild", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
 
-        res.json({ ok: true, pinned: existing, missing: ids.filter((id) => !existing.includes(id)) });
+        const job = await enqueueJob("rebuild-provider-slugs", {});
+        res.status(202).json(jobAccepted(job));
     } catch (e) {
         res.status(500).json({ error: String(e.message || e) });
     }
 });
 
+registerJobHandler("refresh-providers", async (ctx) => {
+    const firestore = db();
+    const { limit, batchSize } = ctx.params;
+    const perPage = 150;
+
+    const snap = await firestore.collection("games").limit(limit).get();
+    const ids = snap.docs.map((d) => String(d.id));
+
+    let updated = 0;
+    let batches = 0;
+    const stats = createFetchStats();
+
+    ctx.progress({ total: ids.length, updated, batches });
+
+    // Games updated before a cancel keep their new provider fields.
+    for (let i = 0; i < ids.length; i += batchSize) {
+        ctx.throwIfCancelled();
+        const chunk = ids.slice(i, i + batchSize);
+
+        const data = await fetchGamesPage({ ids: chunk, perPage, stats });
+
+        const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
+        if (!rawGames.length) continue;
+
+        const normalized = rawGames.map(normalizeGame);
+
+        // Only update provider field (and syncedAt), do not mess with enabled/published if you do not want to.
+        const partial = normalized.map((g) => ({
+            id: String(g.id),
+            provider: g.provider || "",
+            updatedAt: g.updatedAt || null,
+            updatedAtTs: g.updatedAtTs || 0,
+            syncedAt: new Date().toISOString(),
+        }));
+
+        // Sets providerSlug on each partial and registers new providers.
+        await syncProvidersForGames(partial);
+
+        // Use your existing upsertGames, or write direct merges.
+        // Here we do direct merges so we only overwrite provider-related fields.
+        const fs = db();
+        const chunkSize = 250;
+
+        for (let j = 0; j < partial.length; j += chunkSize) {
+            const batch = fs.batch();
+            const part = partial.slice(j, j + chunkSize);
+
+            for (const g of part) {
+                const ref = fs.collection("games").doc(String(g.id));
+                batch.set(ref, g, { merge: true });
+            }
+
+            await batch.commit();
+        }
+
+        updated += partial.length;
+        batches += 1;
+        ctx.progress({ updated, batches });
+    }
+
+    ctx.log("Recounting providers and rebuilding the search index");
+    await refreshProviderCounts();
+    await rebuildSearchIndex(); // provider names are part of the index
+
+    // Clear caches so home reflects updated providers immediately
+    clearHomeCaches();
+    gameCache.clear();
+    clearProviderCaches();
+
+    return { ok: true, totalInDb: ids.length, updated, batches, upstream: summarizeFetchStats(stats) };
+});
+
+// Body: limit (games to process, default 5000), batchSize (ids per SlotsLaunch call, default 120).
+app.post("/api/admin/refresh-providers", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const job = await enqueueJob("refresh-providers", {
+            limit: Number(req.body?.limit ?? 5000),
+            batchSize: Number(req.body?.batchSize ?? 120), // keep under URL limits
+        });
 
+        res.status(202).json(jobAccepted(job));
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
 /* -----------------------------
-   ADMIN reset (unchanged)
+   ADMIN: background jobs
 ------------------------------ */
-app.post("/api/admin/reset", async (req, res) => {
+function jobAccepted(job) {
+    return { ok: true, jobId: job.id, type: job.type, status: job.status, statusUrl: `/api/admin/jobs/${job.id}` };
+}
+
+app.get("/api/admin/jobs", async (req, res) => {
     try {
         if (!requireSecret(req)) {
             res.status(401).json({ error: "Unauthorized" });
             return;
         }
 
-        const target = Number(req.body?.target ?? 100);
+        const limit = Math.min(Math.max(Number(req.query.limit ?? 20) || 20, 1), 100);
+        const type = req.query.type ? String(req.query.type) : null;
+        const status = req.query.status ? String(req.query.status) : null;
 
-        await deleteCollection("games", 300);
+        res.json({ ok: true, jobs: await listJobs({ limit, type, status }) });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
-        const info = await seedNewestPublishedGames({ target });
+app.get("/api/admin/jobs/:id", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
 
-        homeCache = null;
-        gameCache.clear();
+        const job = await getJob(String(req.params.id));
+        if (!job) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
 
-        res.json({ ok: true, info });
+        res.json({ ok: true, job });
     } catch (e) {
         res.status(500).json({ error: String(e.message || e) });
     }
 });
 
-app.post("/api/admin/refresh-providers", async (req, res) => {
+app.post("/api/admin/jobs/:id/cancel", async (req, res) => {
     try {
         if (!requireSecret(req)) {
             res.status(401).json({ error: "Unauthorized" });
             return;
         }
 
-        const firestore = db();
+        const job = await cancelJob(String(req.params.id));
+        if (!job) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+        if (!["cancelled", "running"].includes(job.status)) {
+            res.status(409).json({ error: `Job already ${job.status}` });
+            return;
+        }
 
-        // How many games to process
-        const limit = Number(req.body?.limit ?? 5000);
+        res.json({ ok: true, id: job.id, status: job.status, cancelRequested: true });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
 
-        // Batch size for SlotsLaunch id[] calls
-        const batchSize = Number(req.body?.batchSize ?? 120); // keep under URL limits
-        const perPage = 150;
+/* -----------------------------
+   SCHEDULER: periodic incremental sync + nightly category rebuild
+   Every replica ticks; the Firestore lease lock lets only one of them do the work.
+------------------------------ */
+const SYNC_LOCK_NAME = "sync";
+const CATEGORIES_LOCK_NAME = "categories";
+const SYNC_LOCK_TTL_MS = Number(process.env.SYNC_LOCK_TTL_MS || 10 * 60 * 1000);
+
+const SCHEDULER_ENABLED = String(process.env.SCHEDULER_ENABLED || "false").toLowerCase() === "true";
+const SYNC_INTERVAL_MINUTES = Number(process.env.SYNC_INTERVAL_MINUTES || 60);
+const CATEGORY_REBUILD_HOUR_UTC = Number(process.env.CATEGORY_REBUILD_HOUR_UTC ?? 3);
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+let schedulerBusy = false;
+
+// Full category rebuild outside the scheduler, under the same lock. A rebuild already running
+// may have read the data before the change that asked for this one, so wait for it and rebuild again.
+const CATEGORIES_LOCK_WAIT_MS = 5 * 60 * 1000;
+
+async function rebuildCategoriesLocked() {
+    const deadline = Date.now() + CATEGORIES_LOCK_WAIT_MS;
+    while (true) {
+        const locked = await withLock(CATEGORIES_LOCK_NAME, () => rebuildCategories(), { ttlMs: SYNC_LOCK_TTL_MS });
+        if (locked.acquired) return locked.result;
+        if (Date.now() > deadline) throw new Error("Category rebuild lock is busy");
+        await new Promise((r) => setTimeout(r, 5000));
+    }
+}
 
-        const snap = await firestore.collection("games").limit(limit).get();
-        const ids = snap.docs.map((d) => String(d.id));
+async function getSchedulerState() {
+    const firestore = db();
+    const snap = await firestore.collection("meta").doc("scheduler").get();
+    return snap.exists ? snap.data() : {};
+}
 
-        let updated = 0;
-        let batches = 0;
+async function setSchedulerState(patch) {
+    const firestore = db();
+    await firestore.collection("meta").doc("scheduler").set(
+        { ...patch, updatedAt: new Date().toISOString(), updatedBy: INSTANCE_ID },
+        { merge: true }
+    );
+}
 
-        for (let i = 0; i < ids.length; i += batchSize) {
-            const chunk = ids.slice(i, i + batchSize);
+async function runScheduledSync() {
+    const state = await getSchedulerState();
+    const lastMs = Date.parse(String(state.lastSyncAt || "")) || 0;
+    if (Date.now() - lastMs < SYNC_INTERVAL_MINUTES * 60 * 1000) return;
+
+    const locked = await withLock(SYNC_LOCK_NAME, async (lease) => {
+        // Re-check under the lock: another replica may have just finished.
+        const fresh = await getSchedulerState();
+        const freshMs = Date.parse(String(fresh.lastSyncAt || "")) || 0;
+        if (Date.now() - freshMs < SYNC_INTERVAL_MINUTES * 60 * 1000) return null;
+
+        const info = await runSync({ full: false, lease, scheduleCategoryRebuild });
+        await setSchedulerState({ lastSyncAt: new Date().toISOString(), lastSyncRunId: info.runId });
+        return info;
+    }, { ttlMs: SYNC_LOCK_TTL_MS });
+
+    if (locked.acquired && locked.result) {
+        clearHomeCaches();
+        clearProviderCaches();
+        if (locked.result.disabled) gameCache.clear();
+        console.log("scheduled sync done:", locked.result.runId);
+    }
+}
 
-            const data = await fetchGamesPage({ ids: chunk, perPage });
+async function runScheduledCategoryRebuild() {
+    const now = new Date();
+    if (now.getUTCHours() !== CATEGORY_REBUILD_HOUR_UTC) return;
 
-            const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
-            if (!rawGames.length) continue;
+    const today = now.toISOString().slice(0, 10);
+    const state = await getSchedulerState();
+    if (state.lastCategoryRebuildDate === today) return;
 
-            const normalized = rawGames.map(normalizeGame);
+    const locked = await withLock(CATEGORIES_LOCK_NAME, async () => {
+        const fresh = await getSchedulerState();
+        if (fresh.lastCategoryRebuildDate === today) return null;
 
-            // Only update provider field (and syncedAt), do not mess with enabled/published if you do not want to.
-            const partial = normalized.map((g) => ({
-                id: String(g.id),
-                provider: g.provider || "",
-                updatedAt: g.updatedAt || null,
-                updatedAtTs: g.updatedAtTs || 0,
-                syncedAt: new Date().toISOString(),
-            }));
+        const info = await rebuildCategories();
+        await setSchedulerState({ lastCategoryRebuildDate: today, lastCategoryRunId: info.runId });
+        return info;
+    }, { ttlMs: SYNC_LOCK_TTL_MS });
 
-            // Use your existing upsertGames, or write direct merges.
-            // Here we do direct merges so we only overwrite provider-related fields.
-            const fs = db();
-            const chunkSize = 250;
+    if (locked.acquired && locked.result) {
+        clearHomeCaches();
+        console.log("scheduled category rebuild done:", locked.result.runId);
+    }
+}
 
-            for (let j = 0; j < partial.length; j += chunkSize) {
-                const batch = fs.batch();
-                const part = partial.slice(j, j + chunkSize);
+async function runSchedulerTick() {
+    if (schedulerBusy) return;
+    schedulerBusy = true;
 
-                for (const g of part) {
-                    const ref = fs.collection("games").doc(String(g.id));
-                    batch.set(ref, g, { merge: true });
-                }
+    try {
+        await runScheduledSync().catch((e) => console.error("scheduled sync failed:", e?.message || e));
+        await runScheduledCategoryRebuild().catch((e) => console.error("scheduled category rebuild failed:", e?.message || e));
+    } finally {
+        schedulerBusy = false;
+    }
+}
 
-                await batch.commit();
-            }
+if (SCHEDULER_ENABLED) {
+    setInterval(() => {
+        runSchedulerTick().catch((e) => console.error("scheduler tick failed:", e?.message || e));
+    }, SCHEDULER_TICK_MS);
+    console.log(`Scheduler enabled: sync every ${SYNC_INTERVAL_MINUTES}m, categories at ${CATEGORY_REBUILD_HOUR_UTC}:00 UTC`);
+}
 
-            updated += partial.length;
-            batches += 1;
+app.get("/api/admin/scheduler", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
         }
 
-        // Clear caches so home reflects updated providers immediately
-        homeCache = null;
-        gameCache.clear();
+        const [state, syncLock, categoriesLock] = await Promise.all([
+            getSchedulerState(),
+            getLock(SYNC_LOCK_NAME),
+            getLock(CATEGORIES_LOCK_NAME),
+        ]);
 
-        res.json({ ok: true, totalInDb: ids.length, updated, batches });
+        res.json({
+            ok: true,
+            enabled: SCHEDULER_ENABLED,
+            instance: INSTANCE_ID,
+            syncIntervalMinutes: SYNC_INTERVAL_MINUTES,
+            categoryRebuildHourUtc: CATEGORY_REBUILD_HOUR_UTC,
+            state,
+            locks: { sync: syncLock, categories: categoriesLock },
+        });
     } catch (e) {
         res.status(500).json({ error: String(e.message || e) });
     }
 });
 
-
 const port = Number(process.env.PORT || 3001);
 app.listen(port, () => {
     console.log(`API listening on :${port}`);
+    startJobRunner();
+    startTelemetryFlusher();
+    startRecentFlusher();
 });
@@ -0,0 +1,53 @@
+import { keyName } from "./search.js";
+import { tagsOf } from "./categoryEngine.js";
+
+// "More like this" ranking for GET /api/games/:id/similar. Scores every other served game against
+// the target; weights add up to 1 before the popularity nudge. Co-play data (players who played X
+// also played Y) is not collected yet; plays only break ties through popularity.
+const WEIGHTS = { provider: 0.3, tags: 0.25, name: 0.25, rtp: 0.2 };
+const RTP_WINDOW = 3; // RTP points at which proximity drops to zero
+const MIN_SCORE = 0.1;
+
+// Words that say nothing about what a slot is like.
+const NAME_STOPWORDS = new Set(["the", "of", "and", "a", "in", "on", "slot", "slots", "game", "edition"]);
+
+function nameTokens(g) {
+    return new Set(keyName(g.name).split(" ").filter((t) => t && !NAME_STOPWORDS.has(t) && !/^\d+$/.test(t)));
+}
+
+function jaccard(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    for (const x of a) if (b.has(x)) shared += 1;
+    return shared / (a.size + b.size - shared);
+}
+
+function rtpProximity(a, b) {
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return 0;
+    return Math.max(0, 1 - Math.abs(a - b) / RTP_WINDOW);
+}
+
+// Other games ordered by similarity to `target`, best first. popularity: Map(gameId -> score).
+export function rankSimilar(target, games, { limit = 12, popularity = new Map() } = {}) {
+    const targetId = String(target.id);
+    const targetTags = tagsOf(target);
+    const targetName = nameTokens(target);
+
+    const scored = [];
+    for (const g of games) {
+        if (String(g.id) === targetId || g.enabled !== true) continue;
+
+        let score = 0;
+        if (target.providerSlug && g.providerSlug === target.providerSlug) score += WEIGHTS.provider;
+        score += WEIGHTS.tags * jaccard(targetTags, tagsOf(g));
+        score += WEIGHTS.name * jaccard(targetName, nameTokens(g));
+        score += WEIGHTS.rtp * rtpProximity(target.rtp, g.rtp);
+        if (score < MIN_SCORE) continue;
+
+        score += Math.min(0.05, Math.log1p(popularity.get(String(g.id)) || 0) * 0.01);
+        scored.push({ g, score });
+    }
+
+    scored.sort((a, b) => b.score - a.score || String(a.g.name || "").localeCompare(String(b.g.name || "")));
+    return scored.slice(0, limit).map((s) => s.g);
+}
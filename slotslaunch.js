@@ -8,7 +8,232 @@ function requireEnv(name) {
 
 const BASE = "https://slotslaunch.com/api";
 
-export async function fetchGamesPage({ page, perPage, updatedAt, ids } = {}) {
+/* -----------------------------
+   Client settings (env-tunable)
+------------------------------ */
+const TIMEOUT_MS = Number(process.env.SLOTSLAUNCH_TIMEOUT_MS || 15000);
+const MAX_RETRIES = Number(process.env.SLOTSLAUNCH_MAX_RETRIES || 4);
+const BACKOFF_BASE_MS = Number(process.env.SLOTSLAUNCH_BACKOFF_BASE_MS || 500);
+const BACKOFF_MAX_MS = Number(process.env.SLOTSLAUNCH_BACKOFF_MAX_MS || 30000);
+const MAX_CONCURRENCY = Math.max(1, Number(process.env.SLOTSLAUNCH_CONCURRENCY || 2));
+const BREAKER_THRESHOLD = Number(process.env.SLOTSLAUNCH_BREAKER_THRESHOLD || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.SLOTSLAUNCH_BREAKER_COOLDOWN_MS || 60000);
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/* -----------------------------
+   Concurrency limit
+------------------------------ */
+let active = 0;
+const waiting = []; // resolve callbacks waiting for a slot
+
+async function acquireSlot() {
+    if (active < MAX_CONCURRENCY) {
+        active += 1;
+        return;
+    }
+    await new Promise((resolve) => waiting.push(resolve));
+}
+
+function releaseSlot() {
+    const next = waiting.shift();
+    if (next) next(); // hand the slot over directly
+    else active -= 1;
+}
+
+/* -----------------------------
+   Circuit breaker
+------------------------------ */
+const breaker = {
+    consecutiveFailures: 0,
+    openUntil: 0,
+};
+
+function assertCircuitClosed() {
+    if (Date.now() < breaker.openUntil) {
+        const err = new Error(
+            `SlotsLaunch circuit open for ${Math.ceil((breaker.openUntil - Date.now()) / 1000)}s`
+        );
+        err.circuitOpen = true;
+        throw err;
+    }
+}
+
+function recordSuccess() {
+    breaker.consecutiveFailures = 0;
+    breaker.openUntil = 0;
+}
+
+function recordFailure() {
+    breaker.consecutiveFailures += 1;
+    if (breaker.consecutiveFailures >= BREAKER_THRESHOLD) {
+        breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    }
+}
+
+export function getClientState() {
+    return {
+        active,
+        queued: waiting.length,
+        consecutiveFailures: breaker.consecutiveFailures,
+        circuitOpenUntil: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+    };
+}
+
+/* -----------------------------
+   Per-caller stats
+------------------------------ */
+
+// Pass the same stats object to several fetchGamesPage() calls to aggregate them,
+// then report summarizeFetchStats(stats) in the caller's result.
+export function createFetchStats() {
+    return {
+        calls: 0,
+        attempts: 0,
+        retries: 0,
+        failures: 0,
+        totalLatencyMs: 0,
+        maxLatencyMs: 0,
+    };
+}
+
+export function summarizeFetchStats(stats) {
+    if (!stats) return null;
+    return {
+        calls: stats.calls,
+        retries: stats.retries,
+        failures: stats.failures,
+        avgLatencyMs: stats.calls ? Math.round(stats.totalLatencyMs / stats.calls) : 0,
+        maxLatencyMs: stats.maxLatencyMs,
+    };
+}
+
+/* -----------------------------
+   Retry helpers
+------------------------------ */
+function parseRetryAfterMs(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const at = Date.parse(String(value));
+    if (Number.isFinite(at)) return Math.max(0, at - Date.now());
+
+    return null;
+}
+
+// Full jitter: random delay between 0 and the exponential cap.
+function backoffMs(attempt) {
+    const cap = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.round(Math.random() * cap);
+}
+
+// One attempt, body included: the timeout covers reading and parsing the body too, so a
+// response that stalls mid-body is aborted. A 2xx with a body that is not JSON throws (retryable).
+// Returns { ok, status, headers, json, text }.
+async function fetchOnce(url, headers) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+        const res = await fetch(url, { headers, signal: controller.signal });
+        if (!res.ok) {
+            const text = await res.text().catch(() => "");
+            return { ok: false, status: res.status, headers: res.headers, json: null, text };
+        }
+
+        const text = await res.text();
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            throw new Error(`SlotsLaunch returned invalid JSON (status ${res.status}): ${text.slice(0, 100)}`);
+        }
+        return { ok: true, status: res.status, headers: res.headers, json, text };
+    } catch (e) {
+        if (e?.name === "AbortError") throw new Error(`SlotsLaunch timeout after ${TIMEOUT_MS}ms`);
+        throw e;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function requestJson(url, headers, stats) {
+    assertCircuitClosed();
+    await acquireSlot();
+
+    // The breaker may have opened while this call waited for a slot.
+    try {
+        assertCircuitClosed();
+    } catch (e) {
+        releaseSlot();
+        throw e;
+    }
+
+    const startedAt = Date.now();
+    if (stats) stats.calls += 1;
+
+    try {
+        for (let attempt = 0; ; attempt += 1) {
+            if (stats) stats.attempts += 1;
+
+            let res = null;
+            let error = null;
+
+            try {
+                res = await fetchOnce(url, headers);
+            } catch (e) {
+                error = e;
+            }
+
+            if (res?.ok) {
+                recordSuccess();
+                return res.json;
+            }
+
+            if (res && !RETRYABLE_STATUS.has(res.status)) {
+                // Client errors will not get better by retrying.
+                const err = new Error(`SlotsLaunch error ${res.status}: ${res.text.slice(0, 300)}`);
+                err.status = res.status;
+                throw err;
+            }
+
+            if (!error) {
+                error = new Error(`SlotsLaunch error ${res.status}: ${res.text.slice(0, 300)}`);
+                error.status = res.status;
+            }
+
+            if (attempt >= MAX_RETRIES) {
+                recordFailure();
+                throw error;
+            }
+
+            const retryAfter = res && (res.status === 429 || res.status === 503)
+                ? parseRetryAfterMs(res.headers.get("retry-after"))
+                : null;
+
+            if (stats) stats.retries += 1;
+            await sleep(retryAfter !== null ? Math.min(retryAfter, BACKOFF_MAX_MS) : backoffMs(attempt));
+        }
+    } catch (e) {
+        if (stats) stats.failures += 1;
+        throw e;
+    } finally {
+        const latency = Date.now() - startedAt;
+        if (stats) {
+            stats.totalLatencyMs += latency;
+            stats.maxLatencyMs = Math.max(stats.maxLatencyMs, latency);
+        }
+        releaseSlot();
+    }
+}
+
+export async function fetchGamesPage({ page, perPage, updatedAt, ids, order = "desc", stats } = {}) {
     const token = requireEnv("SLOTSLAUNCH_TOKEN");
     const host = requireEnv("SLOTSLAUNCH_HOST");
 
@@ -25,28 +250,32 @@ export async function fetchGamesPage({ page, perPage, updatedAt, ids } = {}) {
         url.searchParams.set("per_page", String(perPage || 150));
         url.searchParams.set("published", 1);
         url.searchParams.set("order_by", "updated_at");
-        url.searchParams.set("order", "desc");
+        url.searchParams.set("order", order === "asc" ? "asc" : "desc");
 
         if (updatedAt) url.searchParams.set("updated_at", updatedAt);
     }
 
-    const res = await fetch(url.toString(), {
-        headers: {
-            origin: host.startsWith("http") ? host : `https://${host}`,
-        },
-    });
+    return requestJson(
+        url.toString(),
+        { origin: host.startsWith("http") ? host : `https://${host}` },
+        stats
+    );
+}
 
-    if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`SlotsLaunch error ${res.status}: ${txt.slice(0, 300)}`);
+// Game URL without any token, safe to store. Tokenized URLs are built per request (GET /play/:id).
+export function stripToken(gameUrlFromApi) {
+    if (!gameUrlFromApi) return "";
+    try {
+        const u = new URL(gameUrlFromApi);
+        u.searchParams.delete("token");
+        return u.toString();
+    } catch {
+        return "";
     }
-
-    return res.json();
 }
 
-
-// Build iframe URL the frontend can use directly.
-// If SlotsLaunch already returns url as /iframe/{id}, we still append token safely.
+// Build the iframe URL with our token. Only GET /play/:id calls this, at request time:
+// the result must never be stored or returned in API payloads.
 export function buildEmbedUrl(gameUrlFromApi) {
     const token = process.env.SLOTSLAUNCH_TOKEN;
     if (!token) throw new Error("Missing env: SLOTSLAUNCH_TOKEN");
@@ -0,0 +1,269 @@
+import readline from "node:readline";
+import { once } from "node:events";
+import { finished } from "node:stream/promises";
+import admin from "firebase-admin";
+import { db, storageBucket } from "./firebase.js";
+
+// Catalog snapshots: one gzipped NDJSON file per snapshot in Cloud Storage (SNAPSHOT_BUCKET),
+// plus a `snapshots/{id}` doc with its metadata. Lines are
+//   { type: "header", format, version, id, createdAt, reason, collections, docs }
+//   { type: "doc", path: "games/123", data: {...} }
+// Docs are read and written a page at a time, so large catalogs never sit in memory.
+const FORMAT = "captainslots-snapshot";
+const VERSION = 1;
+const META_COLLECTION = "snapshots";
+const PAGE_SIZE = 500;
+const KEEP_SNAPSHOTS = Math.max(1, Number(process.env.SNAPSHOTS_KEEP || 20));
+
+// Everything a reset or a bad sync can destroy. Categories carry their runs and items.
+const SNAPSHOT_COLLECTIONS = ["games", "categories", "collections", "campaigns", "gameOverrides", "providers"];
+const SNAPSHOT_DOCS = ["meta/curation", "meta/homeLayout"];
+
+function bucket() {
+    const name = process.env.SNAPSHOT_BUCKET;
+    if (!name) throw new Error("Missing env: SNAPSHOT_BUCKET");
+    return storageBucket(name);
+}
+
+// Firestore Timestamps survive the round trip as { __ts: iso }.
+function encode(key, value) {
+    if (value instanceof admin.firestore.Timestamp) return { __ts: value.toDate().toISOString() };
+    return value;
+}
+
+function decode(key, value) {
+    if (value && typeof value === "object" && typeof value.__ts === "string" && Object.keys(value).length === 1) {
+        return admin.firestore.Timestamp.fromDate(new Date(value.__ts));
+    }
+    return value;
+}
+
+// Pages through a collection in document id order.
+async function* docsOf(colRef) {
+    let last = null;
+    while (true) {
+        let q = colRef.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+        if (last) q = q.startAfter(last);
+
+        const snap = await q.get();
+        for (const d of snap.docs) yield d;
+        if (snap.size < PAGE_SIZE) return;
+        last = snap.docs[snap.docs.length - 1];
+    }
+}
+
+// categories/{id}/runs/{runId}/items/{gameId}. listDocuments() also finds parents that only
+// exist through their subcollections (older rebuilds wrote no run doc).
+async function* categoryDocs(firestore) {
+    for (const catRef of await firestore.collection("categories").listDocuments()) {
+        const cat = await catRef.get();
+        if (cat.exists) yield cat;
+
+        for (const runRef of await catRef.collection("runs").listDocuments()) {
+            const run = await runRef.get();
+            if (run.exists) yield run;
+            yield* docsOf(runRef.collection("items"));
+        }
+    }
+}
+
+// keepIds are never pruned (e.g. a snapshot that is being restored).
+async function pruneSnapshots(keepIds = []) {
+    const firestore = db();
+    const snap = await firestore.collection(META_COLLECTION).orderBy("createdAtMs", "desc").offset(KEEP_SNAPSHOTS).get();
+
+    for (const d of snap.docs) {
+        if (keepIds.includes(d.id)) continue;
+        const file = d.get("file");
+        if (file) await bucket().file(file).delete({ ignoreNotFound: true });
+        await d.ref.delete();
+    }
+}
+
+// Writes a snapshot and returns its metadata. onProgress({ collection, docs }) is called per page.
+// keepIds are protected from the retention prune that follows.
+export async function createSnapshot({ reason = "manual", onProgress = null, keepIds = [] } = {}) {
+    const firestore = db();
+    const createdAtMs = Date.now();
+    const id = String(createdAtMs);
+    const file = `snapshots/${id}.ndjson`;
+    const metaRef = firestore.collection(META_COLLECTION).doc(id);
+
+    const meta = {
+        id,
+        file,
+        bucket: process.env.SNAPSHOT_BUCKET || null,
+        format: FORMAT,
+        version: VERSION,
+        reason,
+        status: "writing",
+        createdAt: new Date(createdAtMs).toISOString(),
+        createdAtMs,
+        counts: {},
+    };
+    const out = bucket().file(file).createWriteStream({
+        gzip: true,
+        resumable: false,
+        contentType: "application/x-ndjson",
+    });
+    await metaRef.set(meta);
+
+    const writeLine = async (obj) => {
+        if (!out.write(`${JSON.stringify(obj, encode)}\n`)) await once(out, "drain");
+    };
+
+    try {
+        await writeLine({
+            type: "header",
+            format: FORMAT,
+            version: VERSION,
+            id,
+            createdAt: meta.createdAt,
+            reason,
+            collections: SNAPSHOT_COLLECTIONS,
+            docs: SNAPSHOT_DOCS,
+        });
+
+        for (const path of SNAPSHOT_DOCS) {
+            const snap = await firestore.doc(path).get();
+            if (snap.exists) await writeLine({ type: "doc", path, data: snap.data() });
+        }
+
+        for (const name of SNAPSHOT_COLLECTIONS) {
+            let count = 0;
+            const docs = name === "categories" ? categoryDocs(firestore) : docsOf(firestore.collection(name));
+
+            for await (const d of docs) {
+                await writeLine({ type: "doc", path: d.ref.path, data: d.data() });
+                count += 1;
+                if (onProgress && count % PAGE_SIZE === 0) onProgress({ collection: name, docs: count });
+            }
+
+            meta.counts[name] = count;
+            if (onProgress) onProgress({ collection: name, docs: count });
+        }
+
+        out.end();
+        await finished(out);
+    } catch (e) {
+        out.destroy(e);
+        await metaRef.set({ status: "failed", error: String(e?.message || e) }, { merge: true });
+        throw e;
+    }
+
+    const done = { status: "complete", counts: meta.counts, finishedAt: new Date().toISOString() };
+    await metaRef.set(done, { merge: true });
+    await pruneSnapshots(keepIds).catch((e) => console.error("snapshot prune failed:", e?.message || e));
+
+    return { ...meta, ...done };
+}
+
+export async function listSnapshots({ limit = 20 } = {}) {
+    const snap = await db().collection(META_COLLECTION).orderBy("createdAtMs", "desc").limit(limit).get();
+    return snap.docs.map((d) => d.data());
+}
+
+export async function getSnapshot(id) {
+    const snap = await db().collection(META_COLLECTION).doc(String(id)).get();
+    return snap.exists ? snap.data() : null;
+}
+
+// Raw (decompressed) NDJSON stream for downloads.
+export function openSnapshotStream(snapshot) {
+    return bucket().file(snapshot.file).createReadStream();
+}
+
+function assertHeader(entry) {
+    if (entry.type !== "header" || entry.format !== FORMAT) throw new Error("Not a snapshot file");
+    if (entry.version > VERSION) throw new Error(`Unsupported snapshot version ${entry.version}`);
+    if (!Array.isArray(entry.collections) || !Array.isArray(entry.docs)) throw new Error("Snapshot header is incomplete");
+}
+
+// Reads the whole file without writing anything; throws on a truncated or corrupt file, bad JSON,
+// or docs outside the header's collections. Returns { header, docs }.
+async function scanSnapshot(snapshot) {
+    const lines = readline.createInterface({ input: openSnapshotStream(snapshot), crlfDelay: Infinity });
+    let header = null;
+    let docs = 0;
+    let lineNo = 0;
+
+    for await (const line of lines) {
+        lineNo += 1;
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+            entry = JSON.parse(line, decode);
+        } catch (e) {
+            throw new Error(`Snapshot line ${lineNo} is not valid JSON: ${e.message}`);
+        }
+
+        if (!header) {
+            assertHeader(entry);
+            header = entry;
+            continue;
+        }
+        if (entry.type !== "doc") continue;
+
+        const path = String(entry.path || "");
+        const root = path.split("/")[0];
+        if (!entry.data || typeof entry.data !== "object" || path.split("/").length % 2 !== 0) {
+            throw new Error(`Snapshot line ${lineNo} is not a valid doc`);
+        }
+        if (!header.collections.includes(root) && !header.docs.includes(path)) {
+            throw new Error(`Snapshot line ${lineNo} is outside the snapshot: ${path}`);
+        }
+        docs += 1;
+    }
+
+    if (!header) throw new Error("Snapshot file is empty");
+    return { header, docs };
+}
+
+// Replaces the snapshotted collections and docs with the file's contents: each collection is
+// deleted (with subcollections) and rewritten; listed docs missing from the file are deleted.
+// The file is read and validated in full before anything is deleted, then read again to write.
+// onProgress({ docs, total }) is called every page of writes.
+export async function restoreSnapshot(snapshot, { onProgress = null } = {}) {
+    if (snapshot.status !== "complete") throw new Error(`Snapshot ${snapshot.id} is ${snapshot.status}`);
+
+    const { header, docs: total } = await scanSnapshot(snapshot);
+    if (onProgress) onProgress({ docs: 0, total, validated: true });
+
+    const firestore = db();
+    for (const name of header.collections) await firestore.recursiveDelete(firestore.collection(name));
+
+    const lines = readline.createInterface({ input: openSnapshotStream(snapshot), crlfDelay: Infinity });
+    const writer = firestore.bulkWriter();
+    let headerSeen = false;
+    let written = 0;
+    const restoredDocs = new Set();
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const entry = JSON.parse(line, decode);
+
+        if (!headerSeen) {
+            headerSeen = true;
+            continue;
+        }
+        if (entry.type !== "doc") continue;
+
+        writer.set(firestore.doc(entry.path), entry.data);
+        if (header.docs.includes(entry.path)) restoredDocs.add(entry.path);
+        written += 1;
+
+        if (written % PAGE_SIZE === 0) {
+            await writer.flush();
+            if (onProgress) onProgress({ docs: written, total });
+        }
+    }
+
+    await writer.close();
+    for (const path of header.docs) {
+        if (!restoredDocs.has(path)) await firestore.doc(path).delete();
+    }
+
+    if (onProgress) onProgress({ docs: written, total });
+    return { id: snapshot.id, docs: written, collections: header.collections };
+}
@@ -1,11 +1,23 @@
+import admin from "firebase-admin";
 import { db } from "./firebase.js";
-import { fetchGamesPage, buildEmbedUrl } from "./slotslaunch.js";
+import { fetchGamesPage, stripToken, createFetchStats, summarizeFetchStats } from "./slotslaunch.js";
 import { CATEGORY_DEFS } from "./categories.js";
+import { evaluateCategory } from "./categoryEngine.js";
+import { listCollections, collectionToRule } from "./collections.js";
+import { loadOverrides, applyOverrides } from "./overrides.js";
+import { listCampaigns, campaignStatus, campaignToRule, campaignCategoryId } from "./campaigns.js";
+import { startSyncRun, finishSyncRun } from "./syncRuns.js";
+import { pruneCategoryRuns, pinnedRunOf, deleteCategory } from "./categoryRuns.js";
+import { addSearchIndexWrites, addSearchIndexRemovals, updateSearchPopularity } from "./search.js";
+import { loadPopularity } from "./telemetry.js";
+import { providerSlugOf, syncProvidersForGames, refreshProviderCounts } from "./providers.js";
+import { parseNumber, parseRtp, parseNameList, parseFeatures, parseVolatility, parseGameType } from "./gameMeta.js";
 
 const PER_PAGE = 150;
 // const FULL_SYNC = String(process.env.FULL_SYNC || "").toLowerCase() === "true";
 // const FULL_SYNC_LIMIT = Number(process.env.FULL_SYNC_LIMIT || 100);
-const MAX_SYNC_PAGES = Number(process.env.MAX_SYNC_PAGES || 1);
+// Pages per invocation. A sweep cut off by this limit leaves a checkpoint and resumes on the next run.
+const MAX_SYNC_PAGES = Number(process.env.MAX_SYNC_PAGES || 50);
 
 
 function toDateStringYYYYMMDD(d) {
@@ -15,6 +27,12 @@ function toDateStringYYYYMMDD(d) {
     return `${yyyy}-${mm}-${dd}`;
 }
 
+function resolveProviderLogo(g) {
+    const p = g?.provider;
+    if (!p || typeof p !== "object") return "";
+    return String(p.logo || p.logo_url || p.image || p.thumb || "");
+}
+
 function resolveProvider(g) {
     if (!g || typeof g !== "object") return "";
 
@@ -41,17 +59,18 @@ export function normalizeGame(g) {
     const id = String(g.id);
     const name = g.name || g.title || "";
     const provider = resolveProvider(g);
+    const providerLogo = resolveProviderLogo(g);
     const thumb = g.thumb || g.thumbnail || "";
-    const rawRtp = g.rtp;
-    let rtp = null;
-
-    if (typeof rawRtp === "number" && Number.isFinite(rawRtp)) {
-        rtp = rawRtp;
-    } else if (typeof rawRtp === "string") {
-        const cleaned = rawRtp.replace("%", "").replace(",", ".").trim();
-        const n = Number(cleaned);
-        if (Number.isFinite(n)) rtp = n;
-    }
+    const rtp = parseRtp(g.rtp);
+
+    const themes = parseNameList(g.themes ?? g.theme);
+    const features = parseFeatures(g);
+    const volatility = parseVolatility(g.volatility ?? g.variance);
+    const reels = parseNumber(g.reels, { min: 1, max: 20, integer: true });
+    const rows = parseNumber(g.rows, { min: 1, max: 20, integer: true });
+    const paylines = parseNumber(g.paylines ?? g.lines ?? g.ways, { min: 1, max: 1000000, integer: true });
+    const maxWin = parseNumber(g.max_win ?? g.max_win_multiplier ?? g.max_exposure, { min: 1, max: 1000000000 });
+    const gameType = parseGameType(g);
 
     const updatedAt = g.updated_at || null;
     const createdAt = g.created_at || null;
@@ -62,15 +81,28 @@ export function normalizeGame(g) {
     const publishedRaw = g.published;
     const published = publishedRaw === true || publishedRaw === 1 || publishedRaw === "1";
 
-    const apiUrl = g.url || "";
-    const embedUrl = apiUrl ? buildEmbedUrl(apiUrl) : "";
+    // Stored without the SlotsLaunch token; /play/:id adds it per request.
+    const apiUrl = stripToken(g.url || "");
 
     return {
         id,
         name,
         provider,
+        providerSlug: providerSlugOf(provider), // upsertGames() applies admin aliases on top
+        providerLogo,
         thumb,
         rtp,
+        themes,
+        features,
+        hasBonusBuy: features.includes("bonus_buy"),
+        hasMegaways: features.includes("megaways"),
+        hasFreeSpins: features.includes("free_spins"),
+        volatility,
+        reels,
+        rows,
+        paylines,
+        maxWin,
+        gameType,
         updatedAt,
         createdAt,
         updatedAtTs: Number.isFinite(updatedAtTs) ? updatedAtTs : 0,
@@ -78,82 +110,323 @@ export function normalizeGame(g) {
         published,
         enabled: published,
         apiUrl,
-        embedUrl,
     };
 }
 
 
-export async function upsertGames(games) {
+// Returns { inserted, updated } so sync runs can report what actually changed.
+// sweepRunId (full sweeps) stamps each game as seen by that sweep; see getUnsweptGameIds().
+export async function upsertGames(games, { sweepRunId = null } = {}) {
     const firestore = db();
     const chunkSize = 250;
+    const overrides = await loadOverrides();
+    let inserted = 0;
+    let updated = 0;
 
     for (let i = 0; i < games.length; i += chunkSize) {
         const batch = firestore.batch();
         const chunk = games.slice(i, i + chunkSize);
 
+        // Resolves canonical provider slugs and keeps the providers collection in step.
+        await syncProvidersForGames(chunk);
+
+        const refs = chunk.map((g) => firestore.collection("games").doc(String(g.id)));
+        const existing = refs.length
+            ? await firestore.getAll(...refs, { fieldMask: ["id"] })
+            : [];
+        const existingIds = new Set(existing.filter((s) => s.exists).map((s) => s.id));
+
         for (const g of chunk) {
             const docRef = firestore.collection("games").doc(String(g.id));
-            batch.set(
-                docRef,
-                { ...g, syncedAt: new Date().toISOString() },
-                { merge: true }
-            );
+            // embedUrl used to hold a tokenized URL; drop it from older docs.
+            const doc = { ...g, embedUrl: admin.firestore.FieldValue.delete(), syncedAt: new Date().toISOString() };
+            if (sweepRunId) doc.sweepRunId = String(sweepRunId);
+
+            // A game that came back published clears any earlier retirement.
+            if (g.enabled === true) {
+                doc.disabledReason = null;
+                doc.disabledAt = null;
+            }
+
+            batch.set(docRef, doc, { merge: true });
+
+            if (existingIds.has(String(g.id))) updated += 1;
+            else inserted += 1;
         }
 
+        // Search index shards commit in the same batch as the games, with manual overrides applied.
+        addSearchIndexWrites(batch, applyOverrides(chunk, overrides));
+
         await batch.commit();
     }
+
+    return { inserted, updated };
 }
 
-async function getLastSyncDate() {
+// Mark games as disabled without touching the rest of the doc.
+// Only docs that exist and are still enabled are written, so this never creates stubs.
+// With dryRun nothing is written and the would-be-disabled games are recorded in diff.
+async function disableGames(ids, reason, { dryRun = false, diff = null } = {}) {
     const firestore = db();
-    const metaRef = firestore.collection("meta").doc("sync");
-    const snap = await metaRef.get();
-    if (!snap.exists) return null;
-    return snap.data()?.lastUpdatedAtDate ?? null;
+    const chunkSize = 250;
+    const now = new Date().toISOString();
+    let disabled = 0;
+
+    for (let i = 0; i < ids.length; i += chunkSize) {
+        const chunk = ids.slice(i, i + chunkSize);
+        const refs = chunk.map((id) => firestore.collection("games").doc(String(id)));
+        const snaps = await firestore.getAll(...refs);
+
+        const batch = firestore.batch();
+        let writes = 0;
+        const removedIds = [];
+
+        for (const s of snaps) {
+            if (!s.exists || s.data()?.enabled !== true) continue;
+            if (diff) {
+                const g = s.data();
+                pushDiff(diff, "disabled", { id: s.id, name: g.name || "", provider: g.provider || "", reason });
+            }
+            if (!dryRun) {
+                batch.set(
+                    s.ref,
+                    { enabled: false, disabledReason: reason, disabledAt: now },
+                    { merge: true }
+                );
+                removedIds.push(s.id);
+            }
+            writes += 1;
+        }
+
+        if (removedIds.length) addSearchIndexRemovals(batch, removedIds);
+        if (writes && !dryRun) await batch.commit();
+        disabled += writes;
+    }
+
+    return disabled;
 }
 
-async function setLastSyncDate(dateStr) {
+const IDS_PER_CALL = 50;
+
+// The listing only returns published games, so games a full sweep did not see are looked up by id
+// (not filtered by published) before anything is retired: published ones were just missed and are
+// kept, unpublished ones are retired as such and only games upstream does not return are missing.
+async function lookupUpstream(ids, stats) {
+    const found = new Map();
+    for (let i = 0; i < ids.length; i += IDS_PER_CALL) {
+        const chunk = ids.slice(i, i + IDS_PER_CALL);
+        const data = await fetchGamesPage({ ids: chunk, perPage: chunk.length, stats });
+        const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
+        for (const g of rawGames.map(normalizeGame)) found.set(g.id, g);
+    }
+
+    const published = [];
+    const unpublishedIds = [];
+    const missingIds = [];
+    for (const id of ids) {
+        const g = found.get(String(id));
+        if (!g) missingIds.push(id);
+        else if (g.published === true) published.push(g);
+        else unpublishedIds.push(id);
+    }
+    return { published, unpublishedIds, missingIds };
+}
+
+/* -----------------------------
+   Dry-run diff against stored games
+------------------------------ */
+const DIFF_FIELDS = ["rtp", "provider", "thumb", "published", "enabled"];
+const DIFF_LIST_LIMIT = 500; // per list; counts stay exact
+
+function createDiff() {
+    return {
+        counts: { new: 0, changed: 0, unchanged: 0, disabled: 0, removed: 0 },
+        new: [],
+        changed: [],
+        disabled: [],
+        removed: [],
+        truncated: false,
+    };
+}
+
+function pushDiff(diff, key, entry) {
+    diff.counts[key] += 1;
+    if (diff[key].length < DIFF_LIST_LIMIT) diff[key].push(entry);
+    else diff.truncated = true;
+}
+
+// Read-only counterpart of upsertGames(): classifies games as new, changed or unchanged.
+async function diffGames(games, diff) {
+    const firestore = db();
+    const chunkSize = 250;
+
+    for (let i = 0; i < games.length; i += chunkSize) {
+        const chunk = games.slice(i, i + chunkSize);
+        const refs = chunk.map((g) => firestore.collection("games").doc(String(g.id)));
+        const snaps = refs.length ? await firestore.getAll(...refs) : [];
+
+        chunk.forEach((g, idx) => {
+            const snap = snaps[idx];
+            if (!snap?.exists) {
+                pushDiff(diff, "new", { id: g.id, name: g.name, provider: g.provider, rtp: g.rtp });
+                return;
+            }
+
+            const stored = snap.data();
+            const changes = {};
+            for (const field of DIFF_FIELDS) {
+                const from = stored[field] ?? null;
+                const to = g[field] ?? null;
+                if (from !== to) changes[field] = { from, to };
+            }
+
+            if (Object.keys(changes).length) {
+                pushDiff(diff, "changed", { id: g.id, name: g.name, changes });
+            } else {
+                diff.counts.unchanged += 1;
+            }
+        });
+    }
+}
+
+// Enabled games a completed full sweep did not see. A sweep can span several invocations, so "seen"
+// is the sweepRunId stamp upsertGames() leaves; games synced after the sweep started (by an
+// incremental run or a pull) are left alone too. A dry run passes the ids it saw instead.
+async function getUnsweptGameIds({ sweepRunId, sweepStartedAt, seenIds = null }) {
+    const firestore = db();
+    const snap = await firestore
+        .collection("games")
+        .where("enabled", "==", true)
+        .select("sweepRunId", "syncedAt")
+        .get();
+
+    return snap.docs
+        .filter((d) => (seenIds
+            ? !seenIds.has(d.id)
+            : d.get("sweepRunId") !== sweepRunId && !(String(d.get("syncedAt") || "") >= sweepStartedAt)))
+        .map((d) => String(d.id));
+}
+
+/* -----------------------------
+   Sync cursor (meta/sync)
+
+   cursor:            newest updated_at fully synced, advanced only when a sweep completes
+   checkpoints.{mode}: the sweep in progress per mode; after is the last key written
+                      ({ updatedAtTs, ids written at exactly that time }), resumed by key, not page
+------------------------------ */
+async function getSyncState() {
+    const firestore = db();
+    const snap = await firestore.collection("meta").doc("sync").get();
+    const data = snap.exists ? snap.data() : {};
+
+    let cursor = data?.cursor || null;
+
+    // Legacy docs only carry a YYYY-MM-DD day.
+    if (!cursor && data?.lastUpdatedAtDate) {
+        const ts = Date.parse(String(data.lastUpdatedAtDate));
+        cursor = {
+            updatedAt: data.lastUpdatedAtDate,
+            updatedAtTs: Number.isFinite(ts) ? ts : 0,
+            runId: null,
+        };
+    }
+
+    // Checkpoints from before keyset resumption (a single `checkpoint` holding a page number) cannot
+    // be resumed safely; their sweep starts over.
+    const checkpoints = {};
+    for (const [mode, c] of Object.entries(data?.checkpoints || {})) {
+        if (c?.after) checkpoints[mode] = c;
+    }
+
+    return { cursor, checkpoints };
+}
+
+// Called after a page has been written, so a crash never skips unwritten games.
+async function saveCheckpoint(checkpoint) {
     const firestore = db();
     await firestore.collection("meta").doc("sync").set(
         {
-            lastUpdatedAtDate: dateStr,
+            checkpoints: { [checkpoint.mode]: { ...checkpoint, savedAt: new Date().toISOString() } },
+            checkpoint: admin.firestore.FieldValue.delete(),
             updatedAt: new Date().toISOString(),
         },
         { merge: true }
     );
 }
 
-function pickCategoryIdsForGame(game) {
-    const ids = [];
+// Completes a sweep: moves the cursor forward (never backward) and drops the checkpoint of this
+// mode. A pending checkpoint of the other mode (e.g. an unfinished full sweep) is left to resume.
+async function commitCursor({ runId, maxUpdatedAtTs, previous, mode }) {
+    const firestore = db();
+    const ref = firestore.collection("meta").doc("sync");
+    const prevTs = previous?.updatedAtTs || 0;
+    const nextTs = Math.max(prevTs, maxUpdatedAtTs || 0);
 
-    // Best games: placeholder logic: first pages will populate; later replace with telemetry.
-    ids.push("best");
+    const update = {
+        checkpoints: { [mode]: null },
+        updatedAt: new Date().toISOString(),
+    };
 
-    // RTP 97%+
-    if (typeof game.rtp === "number" && game.rtp >= 97) ids.push("rtp97");
+    if (nextTs > prevTs) {
+        update.cursor = {
+            updatedAt: new Date(nextTs).toISOString(),
+            updatedAtTs: nextTs,
+            runId: String(runId),
+        };
+        update.lastUpdatedAtDate = toDateStringYYYYMMDD(new Date(nextTs));
+    }
 
-    // Exclusive games: placeholder (you can switch to tags/themes from API later)
-    // For now, do not auto-assign unless you add a rule.
-    // ids.push("exclusive");
+    await ref.set(update, { merge: true });
+    return update.cursor || previous || null;
+}
 
-    // New games: created in last 30 days if createdAt exists
-    if (game.createdAt) {
-        const created = Date.parse(game.createdAt);
-        if (!Number.isNaN(created)) {
-            const days30 = 30 * 24 * 60 * 60 * 1000;
-            if (Date.now() - created < days30) ids.push("new");
-        }
+// SlotsLaunch filters on a day, so the cursor is sent with day granularity.
+// Same-day games are fetched again, which upsert handles.
+function cursorToUpdatedAtParam(cursor) {
+    if (!cursor?.updatedAtTs) return null;
+    return toDateStringYYYYMMDD(new Date(cursor.updatedAtTs));
+}
+
+const MAX_KEY_IDS = 1000;
+
+// Moves the sweep key past g. Listing order is updated_at ascending, so ids are only kept for the
+// newest timestamp (ties). Past MAX_KEY_IDS ties are re-fetched and upserted again, which is harmless.
+function advanceKey(after, g) {
+    if (!after || g.updatedAtTs > after.updatedAtTs) {
+        return { updatedAt: g.updatedAt || null, updatedAtTs: g.updatedAtTs, ids: [g.id] };
+    }
+    if (g.updatedAtTs === after.updatedAtTs && after.ids.length < MAX_KEY_IDS && !after.ids.includes(g.id)) {
+        return { ...after, ids: [...after.ids, g.id] };
     }
+    return after;
+}
 
-    return ids;
+function isBeforeKey(after, g) {
+    if (!after) return false;
+    return g.updatedAtTs < after.updatedAtTs || (g.updatedAtTs === after.updatedAtTs && after.ids.includes(g.id));
+}
+
+function maxUpdatedAtTsOf(games, current = 0) {
+    let max = current;
+    for (const g of games) {
+        if (g.updatedAtTs > max) max = g.updatedAtTs;
+    }
+    return max;
 }
 
 async function rebuildCategoriesIndex({ limitPerCategory = 80, runId } = {}) {
     if (!runId) throw new Error("rebuildCategoriesIndex: missing runId");
     const firestore = db();
 
+    // Campaigns that have not ended get their own run, so home can switch to one the moment it starts.
+    const campaigns = (await listCampaigns())
+        .filter((c) => ["active", "upcoming"].includes(campaignStatus(c)));
+    const campaignRules = campaigns.map((c) => ({ ...campaignToRule(c), pinnedIds: c.ids || [] }));
+    const collectionRules = (await listCollections()).map((c) => ({ ...collectionToRule(c), pinnedIds: c.ids || [] }));
+    const pinnedRules = [...collectionRules, ...campaignRules];
+
     // ensure category docs exist
-    for (const c of CATEGORY_DEFS) {
+    for (const c of [...CATEGORY_DEFS, ...pinnedRules]) {
         await firestore.collection("categories").doc(c.id).set(
             {
                 title: c.title,
@@ -165,40 +438,47 @@ async function rebuildCategoriesIndex({ limitPerCategory = 80, runId } = {}) {
     }
 
     // Load games once, then distribute.
-    const gamesSnap = await firestore
-        .collection("games")
-        .where("enabled", "==", true)
-        .limit(2000)
-        .get();
-
-    const games = gamesSnap.docs.map((d) => d.data());
-
-    // Sort for “best” and “new”
-    const byUpdatedDesc = [...games].sort((a, b) =>
-        String(b.updatedAt || "").localeCompare(String(a.updatedAt || ""))
-    );
-    const byCreatedDesc = [...games].sort((a, b) =>
-        String(b.createdAt || "").localeCompare(String(a.createdAt || ""))
-    );
+    const enabledGames = await loadEnabledGames();
+
+    // Rules see games as served: overridden names, RTP and tags, and without hidden games,
+    // with play popularity attached for the "popular" sort.
+    const popularity = await loadPopularity();
+    const games = applyOverrides(enabledGames, await loadOverrides())
+        .filter((g) => g.enabled === true)
+        .map((g) => ({ ...g, popularity: popularity.get(String(g.id)) || 0 }));
+
+    // Every category is a rule (CATEGORY_DEFS, collections, campaigns); the engine turns each into a ranked list.
+    const buckets = {};
+    for (const def of CATEGORY_DEFS) {
+        buckets[def.id] = evaluateCategory(def, games, { defaultLimit: limitPerCategory });
+    }
+    for (const rule of pinnedRules) {
+        buckets[rule.id] = evaluateCategory(rule, games, {
+            pinnedIds: rule.pinnedIds,
+            defaultLimit: limitPerCategory,
+        });
+    }
 
-    const buckets = {
-        best: byUpdatedDesc.slice(0, limitPerCategory),
-        rtp97: games
-            .filter((g) => typeof g.rtp === "number" && g.rtp >= 97)
-            .slice(0, limitPerCategory),
-        exclusive: [], // fill later with real rule/curation
-        new: byCreatedDesc.slice(0, limitPerCategory),
-    };
+    // Categories frozen by an admin rollback get a new run but keep serving the pinned one.
+    const categoryIds = Object.keys(buckets);
+    const categorySnaps = await firestore.getAll(...categoryIds.map((id) => firestore.collection("categories").doc(id)));
+    const pinnedRuns = new Map(categoryIds.map((id, i) => [id, pinnedRunOf(categorySnaps[i].data())]));
 
     for (const [categoryId, list] of Object.entries(buckets)) {
         const batch = firestore.batch();
 
-        const itemsCol = firestore
+        const runRef = firestore
             .collection("categories")
             .doc(categoryId)
             .collection("runs")
-            .doc(runId)
-            .collection("items");
+            .doc(runId);
+        const itemsCol = runRef.collection("items");
+
+        batch.set(runRef, {
+            runId,
+            itemCount: list.length,
+            createdAt: new Date().toISOString(),
+        });
 
         list.forEach((g, idx) => {
             const docRef = itemsCol.doc(String(g.id));
@@ -209,108 +489,375 @@ async function rebuildCategoriesIndex({ limitPerCategory = 80, runId } = {}) {
             });
         });
 
-        // flip pointer on the category doc (same batch)
+        // flip pointer on the category doc (same batch), unless a rollback froze it
         const catRef = firestore.collection("categories").doc(categoryId);
-        batch.set(
-            catRef,
-            {
-                activeRunId: runId,
-                updatedAt: new Date().toISOString(),
-            },
-            { merge: true }
-        );
+        if (pinnedRuns.get(categoryId)) {
+            batch.set(catRef, { latestRunId: runId, updatedAt: new Date().toISOString() }, { merge: true });
+        } else {
+            batch.set(
+                catRef,
+                {
+                    activeRunId: runId,
+                    latestRunId: runId,
+                    itemCount: list.length,
+                    pinnedRunId: null,
+                    frozenUntil: null,
+                    updatedAt: new Date().toISOString(),
+                },
+                { merge: true }
+            );
+        }
 
         await batch.commit();
     }
-}
 
-// Fetch newest published games and store exactly N
-export async function seedNewestPublishedGames({ target = 100, maxPages = 10 } = {}) {
-    let page = 1;
-    const collected = [];
+    // Retention: drop runs beyond the newest few (the active run is always kept).
+    for (const categoryId of Object.keys(buckets)) {
+        await pruneCategoryRuns(categoryId);
+    }
 
-    while (collected.length < target && page <= maxPages) {
-        const data = await fetchGamesPage({
-            page,
-            perPage: PER_PAGE,
-            updatedAt: null,
-        });
+    // Runs of ended campaigns are never served again.
+    for (const c of await listCampaigns()) {
+        if (campaignStatus(c) !== "ended") continue;
+        const categoryId = campaignCategoryId(c.id);
+        if ((await firestore.collection("categories").doc(categoryId).get()).exists) await deleteCategory(categoryId);
+    }
 
-        const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
-        if (!rawGames.length) break;
+    // Search ranks ties by popularity; refresh it with the same numbers.
+    await updateSearchPopularity(games);
+}
 
-        // fetchGamesPage already requests published=1, but keep a safety filter
-        const normalized = rawGames.map(normalizeGame).filter((g) => g.published === true);
+const GAMES_PAGE_SIZE = 1000;
 
-        for (const g of normalized) {
-            collected.push(g);
-            if (collected.length >= target) break;
-        }
+// Every enabled game doc, paged by document id so the catalog has no size cap.
+export async function loadEnabledGames() {
+    const firestore = db();
+    const games = [];
+    let last = null;
 
-        page += 1;
+    while (true) {
+        let q = firestore
+            .collection("games")
+            .where("enabled", "==", true)
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(GAMES_PAGE_SIZE);
+        if (last) q = q.startAfter(last);
+
+        const snap = await q.get();
+        for (const d of snap.docs) games.push(d.data());
+        if (snap.size < GAMES_PAGE_SIZE) return games;
+        last = snap.docs[snap.docs.length - 1];
     }
-
-    const finalList = collected.slice(0, target);
-    await upsertGames(finalList);
-    await setLastSyncDate(toDateStringYYYYMMDD(new Date()));
-
-    return { stored: finalList.length, pagesUsed: page - 1 };
 }
 
-export async function runSync() {
-    const lastDate = await getLastSyncDate();
-
-    const FULL_SYNC = String(process.env.FULL_SYNC || "").toLowerCase() === "true";
-    const updatedAt = FULL_SYNC ? null : (lastDate || null);
+// Standalone category rebuild (used by the nightly scheduler).
+export async function rebuildCategories({ limitPerCategory = 80 } = {}) {
+    const runId = String(Date.now());
+    await rebuildCategoriesIndex({ limitPerCategory, runId });
+    return { runId };
+}
 
-    const runId = String(Date.now()); // define BEFORE rebuildCategoriesIndex
+// Fetch newest published games and store exactly N
+// With dryRun nothing is written; the result carries a diff against stored games.
+// replaceExisting (used by reset) also lists stored games that are not in the seed as removed.
+// onPage({ page, collected }) is awaited after each page (job progress); throwing from it aborts the seed.
+export async function seedNewestPublishedGames({ target = 100, maxPages = 10, dryRun = false, replaceExisting = false, onPage = null } = {}) {
+    const runId = String(Date.now());
+    const startedAtMs = Date.now();
+    const stats = createFetchStats();
 
     let page = 1;
-    let totalFetched = 0;
-    let lastSeenUpdatedAt = null;
-    let lastPage = null;
+    const collected = [];
 
-    while (true) {
-        const data = await fetchGamesPage({ page, perPage: PER_PAGE, updatedAt });
+    if (!dryRun) await startSyncRun(runId, { mode: "seed" });
 
-        const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
-        const meta = Array.isArray(data) ? null : (data.meta || null);
+    try {
+        while (collected.length < target && page <= maxPages) {
+            const data = await fetchGamesPage({
+                page,
+                perPage: PER_PAGE,
+                updatedAt: null,
+                stats,
+            });
 
-        if (!rawGames.length) break;
+            const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
+            if (!rawGames.length) break;
 
-        if (meta && typeof meta.last_page === "number") lastPage = meta.last_page;
+            // fetchGamesPage already requests published=1, but keep a safety filter
+            const normalized = rawGames.map(normalizeGame).filter((g) => g.published === true);
 
-        const normalized = rawGames.map(normalizeGame);
-        const publishedOnly = normalized.filter((g) => g.published === true);
+            for (const g of normalized) {
+                collected.push(g);
+                if (collected.length >= target) break;
+            }
 
-        await upsertGames(publishedOnly);
+            if (onPage) await onPage({ page, collected: collected.length });
+            page += 1;
+        }
 
-        totalFetched += publishedOnly.length;
+        const finalList = collected.slice(0, target);
 
-        // track last seen updatedAt
-        const tail = publishedOnly.length ? publishedOnly[publishedOnly.length - 1] : normalized[normalized.length - 1];
-        lastSeenUpdatedAt = tail?.updatedAt || lastSeenUpdatedAt;
+        if (dryRun) {
+            const diff = createDiff();
+            await diffGames(finalList, diff);
 
-        // stop condition
-        if (lastPage !== null) {
-            if (page >= lastPage) break;
-        } else {
-            if (rawGames.length < PER_PAGE) break;
+            if (replaceExisting) {
+                const keep = new Set(finalList.map((g) => String(g.id)));
+                const snap = await db().collection("games").select("name", "provider").get();
+                for (const d of snap.docs) {
+                    if (keep.has(d.id)) continue;
+                    pushDiff(diff, "removed", { id: d.id, name: d.get("name") || "", provider: d.get("provider") || "" });
+                }
+            }
+
+            return { dryRun: true, stored: 0, wouldStore: finalList.length, pagesUsed: page - 1, diff, upstream: summarizeFetchStats(stats) };
         }
 
-        page += 1;
-        if (page > MAX_SYNC_PAGES) break;
-        if (page > 2000) break;
+        const { inserted, updated } = await upsertGames(finalList);
+        await refreshProviderCounts();
+
+        const { cursor } = await getSyncState();
+        await commitCursor({ runId, maxUpdatedAtTs: maxUpdatedAtTsOf(finalList), previous: cursor, mode: "seed" });
+
+        const upstream = summarizeFetchStats(stats);
+        await finishSyncRun(runId, {
+            startedAtMs,
+            pagesFetched: page - 1,
+            fetched: collected.length,
+            inserted,
+            updated,
+            upstream,
+        });
+
+        return { stored: finalList.length, pagesUsed: page - 1, runId, upstream };
+    } catch (e) {
+        if (dryRun) throw e;
+        await finishSyncRun(runId, {
+            status: "failed",
+            startedAtMs,
+            pagesFetched: page - 1,
+            fetched: collected.length,
+            errors: [String(e?.message || e)],
+            upstream: summarizeFetchStats(stats),
+        });
+        throw e;
     }
+}
 
-    const REBUILD_CATEGORIES = String(process.env.REBUILD_CATEGORIES || "false").toLowerCase() === "true";
-    if (REBUILD_CATEGORIES) {
-        await rebuildCategoriesIndex({ limitPerCategory: 80, runId });
+// full defaults to the FULL_SYNC env flag. With dryRun the sweep fetches and normalizes as usual
+// but writes nothing (no games, cursor, checkpoint, run record or categories) and returns a diff.
+// lease (from withLock) is checked between pages, so a run that lost the sync lock stops writing.
+// Category runs are rebuilt through scheduleCategoryRebuild(reason): server.js queues its debounced
+// rebuild job, which takes the categories lock like every other full rebuild.
+export async function runSync({ full, dryRun = false, lease = null, scheduleCategoryRebuild = null } = {}) {
+    const { cursor, checkpoints } = await getSyncState();
+
+    const FULL_SYNC = typeof full === "boolean"
+        ? full
+        : String(process.env.FULL_SYNC || "").toLowerCase() === "true";
+    const mode = FULL_SYNC ? "full" : "incremental";
+
+    // Resume an interrupted sweep of the same mode with the filter it started with. A full dry run
+    // starts over and is not cut off by MAX_SYNC_PAGES, so it can list every game a sweep would retire.
+    const fullDryRun = dryRun && FULL_SYNC;
+    const resume = !fullDryRun ? checkpoints[mode] || null : null;
+    const updatedAt = resume
+        ? (resume.updatedAtUsed || null)
+        : (FULL_SYNC ? null : cursorToUpdatedAtParam(cursor));
+
+    const runId = String(Date.now());
+    const startedAtMs = Date.now();
+    const stats = createFetchStats();
+
+    // Counters shared by the success and failure paths of the run record.
+    const counts = { pagesFetched: 0, fetched: 0, inserted: 0, updated: 0, disabled: 0 };
+
+    const diff = dryRun ? createDiff() : null;
+
+    if (!dryRun) {
+        await startSyncRun(runId, {
+            mode,
+            updatedAtUsed: updatedAt,
+            resumedFromRunId: resume?.runId || null,
+            resumedAfter: resume?.after?.updatedAt || null,
+        });
     }
 
-    await setLastSyncDate(toDateStringYYYYMMDD(new Date()));
+    try {
+        const sweepRunId = resume?.sweepRunId || runId;
+        const sweepStartedAt = resume ? (resume.sweepStartedAt || null) : new Date(startedAtMs).toISOString();
+        let after = resume?.after || null;
+        let page = 1;
+        let maxUpdatedAtTs = resume?.maxUpdatedAtTs || 0;
+        let seenCount = resume?.seenCount || 0; // published games over the whole sweep
+        let lastSeenUpdatedAt = null;
+        let lastPage = null;
+        let reachedEnd = false;
+
+        // Ids seen by a dry run; real sweeps stamp sweepRunId instead.
+        const seenIds = new Set();
+
+        // Pages are read oldest update first and each query starts at the day of the sweep key (the
+        // upstream filter has day granularity), skipping games at or before the key. Games updated
+        // mid-sweep move to the end and are read there, and page offsets only count games from the
+        // key's day on, so a resumed sweep does not depend on how the rest of the listing shifted.
+        while (true) {
+            lease?.throwIfLost();
+            const from = cursorToUpdatedAtParam(after) || updatedAt;
+            const data = await fetchGamesPage({ page, perPage: PER_PAGE, updatedAt: from, order: "asc", stats });
+            counts.pagesFetched += 1;
+
+            const rawGames = Array.isArray(data) ? data : (data.data || data.games || []);
+            const meta = Array.isArray(data) ? null : (data.meta || null);
+
+            if (!rawGames.length) {
+                reachedEnd = true;
+                break;
+            }
+
+            if (meta && typeof meta.last_page === "number") lastPage = meta.last_page;
+
+            const normalized = rawGames.map(normalizeGame).filter((g) => !isBeforeKey(after, g));
+            const publishedOnly = normalized.filter((g) => g.published === true);
+
+            if (dryRun) {
+                await diffGames(publishedOnly, diff);
+            } else {
+                const written = await upsertGames(publishedOnly, { sweepRunId: FULL_SYNC ? sweepRunId : null });
+                counts.inserted += written.inserted;
+                counts.updated += written.updated;
+            }
+
+            if (dryRun) for (const g of publishedOnly) seenIds.add(g.id);
+
+            seenCount += publishedOnly.length;
+            counts.fetched += publishedOnly.length;
+            maxUpdatedAtTs = maxUpdatedAtTsOf(publishedOnly, maxUpdatedAtTs);
+
+            for (const g of normalized) after = advanceKey(after, g);
+            lastSeenUpdatedAt = after?.updatedAt || lastSeenUpdatedAt;
+
+            // Page is written: the next run may start after it.
+            if (!dryRun && after) {
+                await saveCheckpoint({
+                    runId,
+                    sweepRunId,
+                    sweepStartedAt,
+                    mode,
+                    updatedAtUsed: updatedAt,
+                    after,
+                    maxUpdatedAtTs,
+                    seenCount,
+                });
+            }
+
+            // stop condition
+            if (lastPage !== null) {
+                if (page >= lastPage) {
+                    reachedEnd = true;
+                    break;
+                }
+            } else {
+                if (rawGames.length < PER_PAGE) {
+                    reachedEnd = true;
+                    break;
+                }
+            }
+
+            // Same day: next page of this query. New day: page 1 of a query starting at it.
+            page = cursorToUpdatedAtParam(after) === from ? page + 1 : 1;
+            if (!fullDryRun && counts.pagesFetched >= MAX_SYNC_PAGES) break;
+            if (page > 2000) break;
+        }
 
-    return { totalFetched, updatedAtUsed: updatedAt, lastSeenUpdatedAt, lastPage, runId };
-}
+        // Games missing from upstream can only be detected once a full sweep has covered every page,
+        // possibly over several invocations. An empty sweep is treated as an upstream problem, not as
+        // "everything was removed"; checkpoints from before sweepStartedAt existed cannot reconcile.
+        const reconciled = FULL_SYNC && reachedEnd && seenCount > 0 && Boolean(sweepStartedAt);
+        if (reconciled) {
+            lease?.throwIfLost();
+            const unswept = await getUnsweptGameIds({ sweepRunId, sweepStartedAt, seenIds: dryRun ? seenIds : null });
+            const { published, unpublishedIds, missingIds } = await lookupUpstream(unswept, stats);
+
+            if (dryRun) {
+                await diffGames(published, diff);
+            } else if (published.length) {
+                const written = await upsertGames(published, { sweepRunId });
+                counts.inserted += written.inserted;
+                counts.updated += written.updated;
+                counts.fetched += published.length;
+            }
+            counts.disabled += await disableGames(unpublishedIds, "unpublished", { dryRun, diff });
+            counts.disabled += await disableGames(missingIds, "missing_upstream", { dryRun, diff });
+        }
+
+        if (dryRun) {
+            return {
+                dryRun: true,
+                mode,
+                totalFetched: counts.fetched,
+                pagesFetched: counts.pagesFetched,
+                updatedAtUsed: updatedAt,
+                lastSeenUpdatedAt,
+                lastPage,
+                complete: reachedEnd,
+                reconciled,
+                diff,
+                upstream: summarizeFetchStats(stats),
+            };
+        }
 
+        if (counts.fetched || counts.disabled) await refreshProviderCounts();
+
+        // Home and /api/categories read these runs, so rebuilding is on unless explicitly disabled.
+        const REBUILD_CATEGORIES = String(process.env.REBUILD_CATEGORIES || "true").toLowerCase() === "true";
+        lease?.throwIfLost();
+        const categoriesRebuild = REBUILD_CATEGORIES && scheduleCategoryRebuild ? "scheduled" : null;
+        if (categoriesRebuild) scheduleCategoryRebuild("sync");
+
+        // A sweep cut off by MAX_SYNC_PAGES keeps its checkpoint and the cursor stays put.
+        const nextCursor = reachedEnd
+            ? await commitCursor({ runId: sweepRunId, maxUpdatedAtTs, previous: cursor, mode })
+            : cursor;
+
+        const upstream = summarizeFetchStats(stats);
+        await finishSyncRun(runId, {
+            startedAtMs,
+            ...counts,
+            lastSeenUpdatedAt,
+            lastPage,
+            reachedEnd,
+            reconciled,
+            resumeAfter: reachedEnd ? null : after?.updatedAt || null,
+            upstream,
+        });
 
+        return {
+            totalFetched: counts.fetched,
+            updatedAtUsed: updatedAt,
+            lastSeenUpdatedAt,
+            lastPage,
+            runId,
+            inserted: counts.inserted,
+            updated: counts.updated,
+            disabled: counts.disabled,
+            reconciled,
+            categoriesRebuild,
+            resumedFromRunId: resume?.runId || null,
+            complete: reachedEnd,
+            resumeAfter: reachedEnd ? null : after?.updatedAt || null,
+            cursor: nextCursor,
+            upstream,
+        };
+    } catch (e) {
+        if (dryRun) throw e;
+        await finishSyncRun(runId, {
+            status: "failed",
+            startedAtMs,
+            ...counts,
+            errors: [String(e?.message || e)],
+            upstream: summarizeFetchStats(stats),
+        });
+        throw e;
+    }
+}
@@ -0,0 +1,80 @@
+import { db } from "./firebase.js";
+
+// Audit trail for catalog syncs: one doc per run in `syncRuns/{runId}`.
+const COLLECTION = "syncRuns";
+
+export async function startSyncRun(runId, { mode, updatedAtUsed = null, resumedFromRunId = null, resumedAfter = null } = {}) {
+    const firestore = db();
+    await firestore.collection(COLLECTION).doc(String(runId)).set({
+        runId: String(runId),
+        mode,
+        status: "running",
+        updatedAtUsed,
+        resumedFromRunId,
+        resumedAfter,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        pagesFetched: 0,
+        fetched: 0,
+        inserted: 0,
+        updated: 0,
+        disabled: 0,
+        errors: [],
+        upstream: null,
+    });
+}
+
+// Writes the final counters. Never throws, so a failed audit write cannot mask the sync result.
+export async function finishSyncRun(runId, { status = "succeeded", startedAtMs, ...fields } = {}) {
+    try {
+        const firestore = db();
+        const finishedAtMs = Date.now();
+        await firestore.collection(COLLECTION).doc(String(runId)).set(
+            {
+                ...fields,
+                status,
+                finishedAt: new Date(finishedAtMs).toISOString(),
+                durationMs: Number.isFinite(startedAtMs) ? finishedAtMs - startedAtMs : null,
+            },
+            { merge: true }
+        );
+    } catch (e) {
+        console.error(`finishSyncRun failed (${runId}):`, e?.message || e);
+    }
+}
+
+const FILTER_PAGE_SIZE = 200;
+const FILTER_MAX_PAGES = 10;
+
+export async function listSyncRuns({ limit = 20, mode = null, status = null } = {}) {
+    const firestore = db();
+    const q = firestore.collection(COLLECTION).orderBy("startedAt", "desc");
+
+    if (!mode && !status) {
+        const snap = await q.limit(limit).get();
+        return snap.docs.map((d) => d.data());
+    }
+
+    // Filters are applied in memory to avoid composite indexes: page backwards from the newest
+    // run until enough match (bounded, so a rare filter cannot scan the whole history).
+    const out = [];
+    let last = null;
+    for (let page = 0; page < FILTER_MAX_PAGES && out.length < limit; page += 1) {
+        const snap = await (last ? q.startAfter(last) : q).limit(FILTER_PAGE_SIZE).get();
+        for (const d of snap.docs) {
+            const run = d.data();
+            if ((!mode || run.mode === mode) && (!status || run.status === status)) out.push(run);
+        }
+        if (snap.size < FILTER_PAGE_SIZE) break;
+        last = snap.docs[snap.docs.length - 1];
+    }
+
+    return out.slice(0, limit);
+}
+
+export async function getSyncRun(runId) {
+    const firestore = db();
+    const snap = await firestore.collection(COLLECTION).doc(String(runId)).get();
+    return snap.exists ? snap.data() : null;
+}
@@ -0,0 +1,122 @@
+import crypto from "node:crypto";
+import { db } from "./firebase.js";
+
+// Telegram Web App auth. The frontend sends `Telegram.WebApp.initData` as
+// `Authorization: tma <initData>` (or the `X-Telegram-Init-Data` header); the payload is signed
+// by Telegram with a key derived from our bot token, so a valid hash proves who the user is.
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+const MAX_AGE_SEC = Number(process.env.TG_INITDATA_MAX_AGE_SEC || 24 * 60 * 60);
+const CLOCK_SKEW_SEC = 60;
+const TOUCH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const lastTouched = new Map(); // userId -> ms, throttles users/{id} writes
+
+function readInitData(req) {
+    const auth = String(req.get("authorization") || "");
+    if (auth.toLowerCase().startsWith("tma ")) return auth.slice(4).trim();
+    return String(req.get("x-telegram-init-data") || "").trim();
+}
+
+// Returns { user, authDate, queryId } for a genuine, fresh payload; throws with the reason otherwise.
+export function verifyInitData(initData, botToken, { maxAgeSec = MAX_AGE_SEC, now = Date.now() } = {}) {
+    const params = new URLSearchParams(initData);
+    const hash = params.get("hash");
+    if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) throw new Error("initData has no valid hash");
+    params.delete("hash");
+
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([k, v]) => `${k}=${v}`)
+        .join("\n");
+
+    const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
+    const expected = crypto.createHmac("sha256", secretKey).update(dataCheckString).digest();
+    if (!crypto.timingSafeEqual(expected, Buffer.from(hash, "hex"))) throw new Error("initData signature mismatch");
+
+    const authDate = Number(params.get("auth_date"));
+    if (!Number.isInteger(authDate)) throw new Error("initData has no auth_date");
+    const ageSec = now / 1000 - authDate;
+    if (ageSec > maxAgeSec) throw new Error("initData expired");
+    if (ageSec < -CLOCK_SKEW_SEC) throw new Error("initData auth_date is in the future");
+
+    let user;
+    try {
+        user = JSON.parse(params.get("user") || "null");
+    } catch {
+        user = null;
+    }
+    if (!user || !Number.isSafeInteger(user.id)) throw new Error("initData has no user");
+
+    return { user, authDate, queryId: params.get("query_id") || null };
+}
+
+// Keeps users/{id} (the bot's user list) in step with Web App visits, at most every few hours per user.
+// Only users who started the bot have a doc; visitors who never did are not added, as the bot
+// broadcasts to every doc in `users`.
+async function touchUser(tgUser) {
+    const last = lastTouched.get(tgUser.id) || 0;
+    if (Date.now() - last < TOUCH_INTERVAL_MS) return;
+    lastTouched.set(tgUser.id, Date.now());
+
+    try {
+        await db().collection("users").doc(String(tgUser.id)).update({
+            username: tgUser.username,
+            lastWebAppAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+        });
+    } catch (e) {
+        if (e?.code !== 5) throw e; // NOT_FOUND: never sent /start
+    }
+}
+
+// Sets req.tgUser = { id, username, firstName, lastName, languageCode, isPremium, authDate }.
+// required: false is for public routes: a missing, expired or invalid payload just leaves
+// req.tgUser null (a Web App left open past the max age must keep working anonymously).
+export function telegramAuth({ required = true } = {}) {
+    return (req, res, next) => {
+        req.tgUser = null;
+
+        const initData = readInitData(req);
+        if (!initData) {
+            if (required) res.status(401).json({ error: "Telegram auth required" });
+            else next();
+            return;
+        }
+
+        const botToken = process.env.TELEGRAM_BOT_TOKEN;
+        if (!botToken) {
+            if (required) res.status(500).json({ error: "Missing env: TELEGRAM_BOT_TOKEN" });
+            else next();
+            return;
+        }
+
+        let verified;
+        try {
+            verified = verifyInitData(initData, botToken);
+        } catch (e) {
+            if (required) res.status(401).json({ error: String(e.message || e) });
+            else next();
+            return;
+        }
+
+        const u = verified.user;
+        req.tgUser = {
+            id: u.id,
+            username: u.username || "",
+            firstName: u.first_name || "",
+            lastName: u.last_name || "",
+            languageCode: u.language_code || "",
+            isPremium: u.is_premium === true,
+            authDate: verified.authDate,
+        };
+
+        touchUser(req.tgUser).catch((e) => console.error("tg user touch failed:", e?.message || e));
+        next();
+    };
+}
+
+// users/{id} of the authenticated user.
+export function userRef(req) {
+    if (!req.tgUser) throw new Error("No Telegram user on request");
+    return db().collection("users").doc(String(req.tgUser.id));
+}
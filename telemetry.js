@@ -0,0 +1,263 @@
+import admin from "firebase-admin";
+import { db } from "./firebase.js";
+
+// Play and impression telemetry. Events are counted in memory and flushed every few seconds
+// as increments, so a burst of plays costs a handful of writes:
+//   gameStats/{gameId}         { gameId, providerSlug, plays, impressions, popularityBoost, lastPlayedAt }
+//   providerStats/{slug}       { providerSlug, plays, impressions }
+//   statsDaily/{YYYY-MM-DD}    { date, plays, impressions, providers: { [slug]: { plays, impressions } } }
+//   statsDaily/{YYYY-MM-DD}/games/{gameId}   { gameId, plays, impressions }
+// Per-game daily counts are docs of their own: one map on the day doc would outgrow the
+// document size and index limits on a busy day.
+//
+// Popularity decays exponentially with POPULARITY_HALF_LIFE_DAYS. Each play adds
+// 2^((t - EPOCH) / halfLife) to popularityBoost, which makes the decay additive (plain increments);
+// the score at `now` is popularityBoost * 2^(-(now - EPOCH) / halfLife). Changing the half-life
+// reweights history, so leave it alone once there is data.
+//
+// Boosts overflow doubles about 1000 half-lives after EPOCH (~19 years at 7 days, ~5.5 at the
+// 2-day minimum). Well before that, rebase: move EPOCH_MS forward by k half-lives and, in the same
+// deploy, divide every stored gameStats.popularityBoost by 2^k; scores are unchanged.
+const EPOCH_MS = Date.UTC(2025, 0, 1);
+const MIN_HALF_LIFE_DAYS = 2;
+const HALF_LIFE_MS = Math.max(Number(process.env.POPULARITY_HALF_LIFE_DAYS) || 7, MIN_HALF_LIFE_DAYS) * 24 * 60 * 60 * 1000;
+const FLUSH_INTERVAL_MS = Number(process.env.TELEMETRY_FLUSH_INTERVAL_MS || 10 * 1000);
+const PLAY_DEDUPE_MS = 60 * 1000; // the same player re-opening a game within this window is one play
+const MAX_PENDING_GAMES = 5000;
+const POPULARITY_CACHE_TTL_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 400;
+const TOP_GAMES_PER_DAY = 200; // per-day candidates read by getStatsSummary()
+
+const pending = new Map(); // gameId -> { providerSlug, plays, impressions, boost, lastPlayedAt }
+const recentPlays = new Map(); // `${who}|${gameId}` -> ms
+
+let flushing = null;
+let popularityCache = null; // { ts, map: Map(gameId -> score) }
+let popularityInFlight = null;
+
+function dayKey(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+function boostAt(ms) {
+    return 2 ** ((ms - EPOCH_MS) / HALF_LIFE_MS);
+}
+
+// Decayed popularity at `now` from a stored popularityBoost.
+export function popularityOf(boost, now = Date.now()) {
+    const score = (Number(boost) || 0) / boostAt(now);
+    return Number.isFinite(score) ? score : 0;
+}
+
+function pendingFor(g) {
+    const id = String(g.id);
+    let p = pending.get(id);
+    if (!p) {
+        // Under a Firestore outage drop new games rather than grow without bound.
+        if (pending.size >= MAX_PENDING_GAMES) return null;
+        p = { providerSlug: g.providerSlug || "", plays: 0, impressions: 0, boost: 0, lastPlayedAt: null };
+        pending.set(id, p);
+    }
+    return p;
+}
+
+// `who` identifies the player (Telegram id or IP). Returns false for a repeat within PLAY_DEDUPE_MS.
+// Plays with ranked false count towards plays but not popularityBoost.
+export function recordPlay(g, { who = "", ranked = true } = {}) {
+    const now = Date.now();
+    const key = `${who}|${g.id}`;
+    if (who && now - (recentPlays.get(key) || 0) < PLAY_DEDUPE_MS) return false;
+    if (who) recentPlays.set(key, now);
+
+    const p = pendingFor(g);
+    if (!p) return false;
+    p.plays += 1;
+    if (ranked) p.boost += boostAt(now);
+    p.lastPlayedAt = new Date(now).toISOString();
+    return true;
+}
+
+export function recordImpressions(games) {
+    let counted = 0;
+    for (const g of games) {
+        const p = pendingFor(g);
+        if (!p) continue;
+        p.impressions += 1;
+        counted += 1;
+    }
+    return counted;
+}
+
+function addCounts(target, key, { plays, impressions }) {
+    const cur = target[key] || { plays: 0, impressions: 0 };
+    cur.plays += plays;
+    cur.impressions += impressions;
+    target[key] = cur;
+}
+
+async function flushPending() {
+    if (!pending.size) return { games: 0 };
+
+    const entries = [...pending.entries()];
+    pending.clear();
+
+    const now = Date.now();
+    const inc = admin.firestore.FieldValue.increment;
+    const firestore = db();
+    const updatedAt = new Date(now).toISOString();
+
+    const providers = {};
+    const daily = { plays: 0, impressions: 0, providers: {} }; // increments for statsDaily
+    const date = dayKey(now);
+    const dayRef = firestore.collection("statsDaily").doc(date);
+    const writes = [];
+
+    for (const [id, p] of entries) {
+        const stats = {
+            gameId: id,
+            providerSlug: p.providerSlug,
+            plays: inc(p.plays),
+            impressions: inc(p.impressions),
+            updatedAt,
+        };
+        if (p.boost) stats.popularityBoost = inc(p.boost);
+        if (p.lastPlayedAt) stats.lastPlayedAt = p.lastPlayedAt;
+        writes.push([firestore.collection("gameStats").doc(id), stats]);
+
+        daily.plays += p.plays;
+        daily.impressions += p.impressions;
+        writes.push([dayRef.collection("games").doc(id), { gameId: id, plays: inc(p.plays), impressions: inc(p.impressions) }]);
+        if (p.providerSlug) addCounts(providers, p.providerSlug, p);
+    }
+
+    for (const [slug, c] of Object.entries(providers)) {
+        writes.push([
+            firestore.collection("providerStats").doc(slug),
+            { providerSlug: slug, plays: inc(c.plays), impressions: inc(c.impressions), updatedAt },
+        ]);
+        daily.providers[slug] = { plays: inc(c.plays), impressions: inc(c.impressions) };
+    }
+
+    writes.push([
+        dayRef,
+        { date, plays: inc(daily.plays), impressions: inc(daily.impressions), providers: daily.providers, updatedAt },
+    ]);
+
+    try {
+        for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+            const batch = firestore.batch();
+            for (const [ref, data] of writes.slice(i, i + BATCH_SIZE)) batch.set(ref, data, { merge: true });
+            await batch.commit();
+        }
+    } catch (e) {
+        // Put the counts back for the next flush. A failure after a partial commit can double-count
+        // the committed part; close enough for telemetry.
+        for (const [id, p] of entries) {
+            const cur = pendingFor({ id, providerSlug: p.providerSlug });
+            if (!cur) continue;
+            cur.plays += p.plays;
+            cur.impressions += p.impressions;
+            cur.boost += p.boost;
+            cur.lastPlayedAt = cur.lastPlayedAt || p.lastPlayedAt;
+        }
+        throw e;
+    }
+
+    return { games: entries.length };
+}
+
+// Writes buffered counts now. Concurrent calls share one flush.
+export function flushTelemetry() {
+    if (!flushing) {
+        flushing = flushPending().finally(() => {
+            flushing = null;
+        });
+    }
+    return flushing;
+}
+
+export function startTelemetryFlusher() {
+    setInterval(() => {
+        const cutoff = Date.now() - PLAY_DEDUPE_MS;
+        for (const [key, ms] of recentPlays) if (ms < cutoff) recentPlays.delete(key);
+
+        flushTelemetry().catch((e) => console.error("telemetry flush failed:", e?.message || e));
+    }, FLUSH_INTERVAL_MS);
+}
+
+/* -----------------------------
+   Reads
+------------------------------ */
+
+// Decayed popularity of every game that has been played, keyed by game id.
+export async function loadPopularity() {
+    if (popularityCache && Date.now() - popularityCache.ts < POPULARITY_CACHE_TTL_MS) return popularityCache.map;
+
+    if (!popularityInFlight) {
+        popularityInFlight = (async () => {
+            const snap = await db().collection("gameStats").where("popularityBoost", ">", 0).select("popularityBoost").get();
+            const now = Date.now();
+            const map = new Map(snap.docs.map((d) => [d.id, popularityOf(d.get("popularityBoost"), now)]));
+            popularityCache = { ts: Date.now(), map };
+            return map;
+        })().finally(() => {
+            popularityInFlight = null;
+        });
+    }
+
+    try {
+        return await popularityInFlight;
+    } catch (e) {
+        if (popularityCache?.map) return popularityCache.map;
+        throw e;
+    }
+}
+
+export async function getGameStats(gameId) {
+    const snap = await db().collection("gameStats").doc(String(gameId)).get();
+    if (!snap.exists) return null;
+
+    const s = snap.data();
+    return {
+        gameId: String(gameId),
+        providerSlug: s.providerSlug || "",
+        plays: s.plays || 0,
+        impressions: s.impressions || 0,
+        popularity: popularityOf(s.popularityBoost),
+        lastPlayedAt: s.lastPlayedAt || null,
+    };
+}
+
+// Daily totals for the last `days` days (newest first), plus top games and providers over the window.
+// Top games are summed from each day's TOP_GAMES_PER_DAY most played, so a game that was never near
+// the top on any single day can be undercounted.
+export async function getStatsSummary({ days = 7, top = 20 } = {}) {
+    const firestore = db();
+    const dates = [];
+    for (let i = 0; i < days; i += 1) dates.push(dayKey(Date.now() - i * 24 * 60 * 60 * 1000));
+
+    const dayRefs = dates.map((d) => firestore.collection("statsDaily").doc(d));
+    const snaps = await firestore.getAll(...dayRefs);
+    const gameSnaps = await Promise.all(
+        dayRefs.map((ref) => ref.collection("games").orderBy("plays", "desc").limit(TOP_GAMES_PER_DAY).get())
+    );
+    const games = {};
+    const providers = {};
+
+    for (const snap of gameSnaps) {
+        for (const d of snap.docs) addCounts(games, d.id, { plays: d.get("plays") || 0, impressions: d.get("impressions") || 0 });
+    }
+
+    const daily = snaps.map((s, i) => {
+        const d = s.exists ? s.data() : {};
+        for (const [slug, c] of Object.entries(d.providers || {})) addCounts(providers, slug, c);
+        return { date: dates[i], plays: d.plays || 0, impressions: d.impressions || 0 };
+    });
+
+    const ranked = (counts) => Object.entries(counts)
+        .map(([id, c]) => ({ id, ...c, ctr: c.impressions ? c.plays / c.impressions : null }))
+        .sort((a, b) => b.plays - a.plays || b.impressions - a.impressions)
+        .slice(0, top);
+
+    return { days, daily, topGames: ranked(games), topProviders: ranked(providers) };
+}
@@ -0,0 +1,108 @@
+import { db } from "./firebase.js";
+
+// Per-user game lists under users/{id} (userRef(req) from telegramAuth.js). Both live below the user
+// doc without writing it, so Web App visitors who never started the bot do not join its user list:
+//   favorites  subcollection users/{id}/favorites/{gameId} = { gameId, addedAt }
+//   recent     users/{id}/lists/recent = { items: [{ gameId, at }] }, newest first, deduped and capped
+export const MAX_FAVORITES = 200;
+export const MAX_RECENT = 30;
+const RECENT_FLUSH_INTERVAL_MS = 15 * 1000;
+const MAX_PENDING_USERS = 5000;
+
+const pendingRecent = new Map(); // user doc path -> { user, items: [{ gameId, at }] } (newest first)
+const lastRecentHead = new Map(); // user doc path -> gameId last written to the front
+
+// Returns false when the list is full; adding an existing favorite is a no-op.
+export async function addFavorite(user, gameId) {
+    const firestore = db();
+    const col = user.collection("favorites");
+    const ref = col.doc(String(gameId));
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (snap.exists) return true;
+
+        const count = (await tx.get(col.count())).data().count;
+        if (count >= MAX_FAVORITES) return false;
+
+        tx.set(ref, { gameId: String(gameId), addedAt: new Date().toISOString() });
+        return true;
+    });
+}
+
+export async function removeFavorite(user, gameId) {
+    const ref = user.collection("favorites").doc(String(gameId));
+    const snap = await ref.get();
+    if (!snap.exists) return false;
+
+    await ref.delete();
+    return true;
+}
+
+// Newest first.
+export async function listFavoriteIds(user) {
+    const snap = await user
+        .collection("favorites")
+        .orderBy("addedAt", "desc")
+        .limit(MAX_FAVORITES)
+        .get();
+    return snap.docs.map((d) => d.id);
+}
+
+function recentRef(user) {
+    return user.collection("lists").doc("recent");
+}
+
+function mergeRecent(newer, older) {
+    const seen = new Set();
+    return [...newer, ...older]
+        .filter((r) => r?.gameId && !seen.has(r.gameId) && seen.add(r.gameId))
+        .slice(0, MAX_RECENT);
+}
+
+// Queues the game for the front of the user's recent list. Opens are buffered and written every
+// few seconds (one transaction per user per flush); re-opening the game already in front is free.
+export function recordRecent(user, gameId) {
+    const id = String(gameId);
+    const key = user.path;
+    const cur = pendingRecent.get(key);
+    if (!cur && lastRecentHead.get(key) === id) return;
+    if (!cur && pendingRecent.size >= MAX_PENDING_USERS) return;
+
+    const entry = cur || { user, items: [] };
+    entry.items = mergeRecent([{ gameId: id, at: new Date().toISOString() }], entry.items);
+    pendingRecent.set(key, entry);
+}
+
+export async function flushRecent() {
+    const entries = [...pendingRecent.entries()];
+    pendingRecent.clear();
+
+    for (const [key, { user, items }] of entries) {
+        try {
+            const ref = recentRef(user);
+            await db().runTransaction(async (tx) => {
+                const snap = await tx.get(ref);
+                const stored = snap.exists && Array.isArray(snap.get("items")) ? snap.get("items") : [];
+                tx.set(ref, { items: mergeRecent(items, stored), updatedAt: new Date().toISOString() });
+            });
+            lastRecentHead.set(key, items[0].gameId);
+        } catch (e) {
+            console.error("recent update failed:", e?.message || e);
+        }
+    }
+    if (lastRecentHead.size > MAX_PENDING_USERS * 4) lastRecentHead.clear();
+}
+
+export function startRecentFlusher() {
+    setInterval(() => {
+        flushRecent().catch((e) => console.error("recent flush failed:", e?.message || e));
+    }, RECENT_FLUSH_INTERVAL_MS);
+}
+
+// Newest first, with when each game was last opened (including opens not flushed yet).
+export async function listRecent(user) {
+    const snap = await recentRef(user).get();
+    const stored = snap.exists && Array.isArray(snap.get("items")) ? snap.get("items") : [];
+    return mergeRecent(pendingRecent.get(user.path)?.items || [], stored);
+}